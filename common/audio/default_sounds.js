@@ -0,0 +1,120 @@
+/**
+ * Default sound pack
+ * The cues sounds.js registers when it loads. A cue is played by name with
+ * playSound(name) and is either a melody for the note sequencer:
+ *   { category, gain, oscillator, envelope, notes: [{ note, duration, time }] }
+ * or an audio file:
+ *   { category, gain, url }
+ * category is a key of SOUND_CATEGORIES; gain (0 to 1) is how loud the cue is
+ * at full volume.
+ */
+
+export const DEFAULT_SOUNDS = {
+    // Low tone that fades out
+    error: {
+        category: 'feedback',
+        gain: 0.3,
+        oscillator: 'sine',
+        envelope: { attack: 0, decay: 0.3, sustain: 0, release: 0 },
+        notes: [{ note: 200, duration: 0.3, time: 0 }]
+    },
+
+    // Ascending arpeggio: C5 -> E5 -> G5
+    success: {
+        category: 'feedback',
+        oscillator: 'triangle',
+        envelope: { attack: 0.01, decay: 0.2, sustain: 0.2, release: 0.2 },
+        notes: [
+            { note: 'C5', duration: '8n', time: 0 },
+            { note: 'E5', duration: '8n', time: 0.15 },
+            { note: 'G5', duration: '8n', time: 0.3 }
+        ]
+    },
+
+    victory: {
+        category: 'fanfare',
+        oscillator: 'triangle',
+        envelope: { attack: 0.01, decay: 0.1, sustain: 0.3, release: 0.3 },
+        notes: [
+            { note: 'C5', duration: '16n', time: 0 },
+            { note: 'E5', duration: '16n', time: 0.1 },
+            { note: 'G5', duration: '16n', time: 0.2 },
+            { note: 'C6', duration: '8n', time: 0.3 },
+            { note: 'G5', duration: '16n', time: 0.5 },
+            { note: 'C6', duration: '4n', time: 0.6 }
+        ]
+    },
+
+    // Descending sad sequence
+    gameOver: {
+        category: 'fanfare',
+        oscillator: 'sine',
+        envelope: { attack: 0.1, decay: 0.2, sustain: 0.1, release: 0.5 },
+        notes: [
+            { note: 'G4', duration: '8n', time: 0 },
+            { note: 'F4', duration: '8n', time: 0.2 },
+            { note: 'E4', duration: '8n', time: 0.4 },
+            { note: 'D4', duration: '8n', time: 0.6 },
+            { note: 'C4', duration: '4n', time: 0.8 }
+        ]
+    },
+
+    // Short soft click when a card is turned over
+    cardFlip: {
+        category: 'feedback',
+        gain: 0.4,
+        oscillator: 'triangle',
+        envelope: { attack: 0.002, decay: 0.05, sustain: 0, release: 0.02 },
+        notes: [{ note: 'E6', duration: '32n', time: 0 }]
+    },
+
+    // "Tick-tick" when a countdown is running out
+    warningTick: {
+        category: 'feedback',
+        gain: 0.2,
+        oscillator: 'square',
+        envelope: { attack: 0.001, decay: 0.05, sustain: 0, release: 0.01 },
+        notes: [
+            { note: 'C6', duration: '32n', time: 0 },
+            { note: 'C6', duration: '32n', time: 0.15 }
+        ]
+    },
+
+    // Rumble falling to a low boom
+    bombExplosion: {
+        category: 'feedback',
+        gain: 0.5,
+        oscillator: 'sawtooth',
+        envelope: { attack: 0.005, decay: 0.4, sustain: 0, release: 0.2 },
+        notes: [
+            { note: 'D3', duration: '16n', time: 0 },
+            { note: 'A2', duration: '16n', time: 0.05 },
+            { note: 'E2', duration: '16n', time: 0.1 },
+            { note: 'A1', duration: '4n', time: 0.15 }
+        ]
+    },
+
+    // Two low footsteps
+    chaserStep: {
+        category: 'feedback',
+        gain: 0.5,
+        oscillator: 'sine',
+        envelope: { attack: 0.005, decay: 0.08, sustain: 0, release: 0.05 },
+        notes: [
+            { note: 'G3', duration: '16n', time: 0 },
+            { note: 'D3', duration: '16n', time: 0.12 }
+        ]
+    },
+
+    // High sparkle when a hint is shown
+    hint: {
+        category: 'feedback',
+        gain: 0.4,
+        oscillator: 'sine',
+        envelope: { attack: 0.01, decay: 0.3, sustain: 0.1, release: 0.3 },
+        notes: [
+            { note: 'E6', duration: '16n', time: 0 },
+            { note: 'B6', duration: '8n', time: 0.08 }
+        ]
+    }
+};
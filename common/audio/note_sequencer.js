@@ -0,0 +1,142 @@
+/**
+ * Note sequencer
+ * Plays short melodies with the Web Audio API, so no library (or network) is needed.
+ * Notes, durations and envelopes are written the way Tone.js writes them
+ * ("C5", "8n", { attack, decay, sustain, release }), and a melody plays on one
+ * voice like a Tone.Synth: a new note cuts off the one still sounding.
+ */
+
+const NOTE_INDEX = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const ACCIDENTALS = { '': 0, '#': 1, 'b': -1 };
+
+// How long it takes to cut off a note when the next one starts
+const CUT_OFF_TIME = 0.01;
+
+/**
+ * Envelope of a Tone.Synth with no envelope options
+ */
+export const DEFAULT_ENVELOPE = {
+    attack: 0.005,
+    decay: 0.1,
+    sustain: 0.3,
+    release: 1
+};
+
+/**
+ * Frequency of a note name
+ * @param {string|number} note - Scientific pitch name (e.g. "C5", "F#4", "Bb3"), or a frequency in Hz
+ * @returns {number} Frequency in Hz (A4 = 440)
+ */
+export function noteToFrequency(note) {
+    if (typeof note === 'number') return note;
+
+    const match = /^([A-Ga-g])(#|b)?(-?\d+)$/.exec(String(note).trim());
+    if (!match) {
+        throw new Error(`Unknown note "${note}"`);
+    }
+
+    const [, letter, accidental = '', octave] = match;
+    const semitone = NOTE_INDEX[letter.toUpperCase()] + ACCIDENTALS[accidental];
+    const midi = (Number(octave) + 1) * 12 + semitone;
+    return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Length of a duration in seconds
+ * @param {string|number} duration - Note value ("4n" quarter, "8n" eighth, "16n",
+ *                                   "8n." dotted eighth...) or seconds
+ * @param {number} bpm - Tempo in quarter notes per minute (default: 120, like Tone.js)
+ * @returns {number} Seconds
+ */
+export function durationToSeconds(duration, bpm = 120) {
+    if (typeof duration === 'number') return duration;
+
+    const match = /^(\d+)n(\.)?$/.exec(String(duration).trim());
+    if (!match) {
+        throw new Error(`Unknown duration "${duration}"`);
+    }
+
+    const quarter = 60 / bpm;
+    const seconds = quarter * 4 / Number(match[1]);
+    return match[2] ? seconds * 1.5 : seconds;
+}
+
+/**
+ * Schedule the envelope of one note on a gain
+ * Rises in a straight line to the peak, then decays to the sustain level;
+ * the release fades out after the note's duration.
+ * @returns {number} Time the note is silent
+ */
+function scheduleEnvelope(gain, envelope, peak, start, duration, cutOff) {
+    const { attack, decay, sustain, release } = envelope;
+    const releaseStart = Math.max(start + duration, start + attack);
+    const end = releaseStart + release;
+
+    gain.setValueAtTime(0, start);
+    gain.linearRampToValueAtTime(peak, start + attack);
+    // Approaching a target gets within 1% of it in about 5 time constants
+    gain.setTargetAtTime(peak * sustain, start + attack, decay / 5);
+
+    if (cutOff === null || cutOff >= end) {
+        gain.setTargetAtTime(0, releaseStart, release / 5);
+        return end;
+    }
+
+    if (cutOff > releaseStart) {
+        gain.setTargetAtTime(0, releaseStart, release / 5);
+    }
+    gain.setTargetAtTime(0, Math.max(cutOff, start + attack), CUT_OFF_TIME / 5);
+    return Math.max(cutOff, start + attack) + CUT_OFF_TIME;
+}
+
+/**
+ * Play a melody
+ * @param {AudioContext} context - Audio context to play in
+ * @param {Object} options - Configuration options
+ * @param {Array} options.notes - Notes to play: { note, duration, time } - time in seconds
+ *                                from the start of the melody
+ * @param {string} options.oscillator - Wave shape: 'sine', 'triangle', 'square' or 'sawtooth' (default: 'sine')
+ * @param {Object} options.envelope - { attack, decay, sustain, release } in seconds
+ *                                    (sustain is a level from 0 to 1); missing values come from DEFAULT_ENVELOPE
+ * @param {number} options.volume - Peak gain from 0 to 1 (default: 1)
+ * @param {number} options.startTime - Context time to start at (default: now)
+ * @param {AudioNode} options.destination - Node to play into (default: the speakers)
+ * @returns {number} Context time the melody ends
+ */
+export function playNoteSequence(context, options = {}) {
+    const {
+        notes = [],
+        oscillator = 'sine',
+        volume = 1,
+        startTime = context.currentTime,
+        destination = context.destination
+    } = options;
+    const envelope = { ...DEFAULT_ENVELOPE, ...options.envelope };
+
+    const sorted = notes
+        .map(({ note, duration, time = 0 }) => ({
+            frequency: noteToFrequency(note),
+            start: startTime + time,
+            duration: durationToSeconds(duration)
+        }))
+        .sort((a, b) => a.start - b.start);
+
+    let melodyEnd = startTime;
+    sorted.forEach(({ frequency, start, duration }, index) => {
+        const next = sorted[index + 1];
+        const voice = context.createOscillator();
+        const gainNode = context.createGain();
+
+        voice.type = oscillator;
+        voice.frequency.setValueAtTime(frequency, start);
+        voice.connect(gainNode);
+        gainNode.connect(destination);
+
+        const end = scheduleEnvelope(gainNode.gain, envelope, volume, start, duration, next ? next.start : null);
+        voice.start(start);
+        voice.stop(end);
+        melodyEnd = Math.max(melodyEnd, end);
+    });
+
+    return melodyEnd;
+}
@@ -0,0 +1,214 @@
+/**
+ * Sound settings
+ * One mute switch and set of volumes for all the games on this device, kept in
+ * localStorage. sounds.js reads them before playing anything, so muting in one
+ * game mutes every game (and other open tabs follow along).
+ */
+
+const STORAGE_KEY = 'learnAndPlaySoundSettings';
+
+/**
+ * Categories sounds are played in, each with its own volume
+ */
+export const SOUND_CATEGORIES = {
+    feedback: { label: 'משוב' },      // right / wrong answer and other game events
+    fanfare: { label: 'סיום משחק' }   // victory / game over
+};
+
+const DEFAULT_SETTINGS = {
+    muted: false,
+    masterVolume: 1,
+    volumes: { feedback: 1, fanfare: 1 }
+};
+
+const listeners = [];
+
+/**
+ * A volume between 0 and 1 (anything else falls back to the default)
+ */
+function toVolume(value, fallback = 1) {
+    const volume = Number(value);
+    if (value === null || value === '' || !Number.isFinite(volume)) {
+        return fallback;
+    }
+    return Math.min(1, Math.max(0, volume));
+}
+
+function loadSettings() {
+    const settings = {
+        ...DEFAULT_SETTINGS,
+        volumes: { ...DEFAULT_SETTINGS.volumes }
+    };
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        if (saved && typeof saved === 'object') {
+            settings.muted = Boolean(saved.muted);
+            settings.masterVolume = toVolume(saved.masterVolume);
+            Object.keys(settings.volumes).forEach(category => {
+                settings.volumes[category] = toVolume(saved.volumes && saved.volumes[category]);
+            });
+        }
+    } catch (e) {
+        console.error('Failed to load sound settings:', e);
+    }
+    return settings;
+}
+
+let settings = loadSettings();
+
+function saveSettings() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.error('Failed to save sound settings:', e);
+    }
+}
+
+function notifyListeners() {
+    const current = getSoundSettings();
+    listeners.slice().forEach(listener => listener(current));
+}
+
+function updateSettings(change) {
+    change();
+    saveSettings();
+    notifyListeners();
+}
+
+/**
+ * Current settings
+ * @returns {Object} { muted, masterVolume, volumes: { feedback, fanfare } } - a copy
+ */
+export function getSoundSettings() {
+    return { ...settings, volumes: { ...settings.volumes } };
+}
+
+export function isMuted() {
+    return settings.muted;
+}
+
+export function setMuted(value) {
+    updateSettings(() => {
+        settings.muted = Boolean(value);
+    });
+}
+
+/**
+ * Switch all sounds off or back on
+ * @returns {boolean} Whether sounds are now muted
+ */
+export function toggleMuted() {
+    setMuted(!settings.muted);
+    return settings.muted;
+}
+
+/**
+ * Set the volume of all sounds
+ * @param {number} volume - 0 (silent) to 1 (full)
+ */
+export function setMasterVolume(volume) {
+    updateSettings(() => {
+        settings.masterVolume = toVolume(volume, settings.masterVolume);
+    });
+}
+
+/**
+ * Set the volume of one category of sounds
+ * @param {string} category - Category key (see SOUND_CATEGORIES)
+ * @param {number} volume - 0 (silent) to 1 (full)
+ */
+export function setCategoryVolume(category, volume) {
+    if (!SOUND_CATEGORIES[category]) {
+        console.warn(`Unknown sound category "${category}"`);
+        return;
+    }
+    updateSettings(() => {
+        settings.volumes[category] = toVolume(volume, settings.volumes[category]);
+    });
+}
+
+/**
+ * Volume a sound of a category should play at
+ * @param {string} category - Category key (see SOUND_CATEGORIES)
+ * @returns {number} 0 (don't play) to 1 - the master volume times the category volume
+ */
+export function getSoundVolume(category) {
+    if (settings.muted) return 0;
+    return settings.masterVolume * (settings.volumes[category] ?? 1);
+}
+
+/**
+ * Get notified when the settings change (here or in another tab)
+ * @param {Function} listener - Called with the new settings
+ * @returns {Function} Unsubscribe function
+ */
+export function onSoundSettingsChange(listener) {
+    listeners.push(listener);
+    return () => {
+        const index = listeners.indexOf(listener);
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    };
+}
+
+// Follow changes made in other tabs of the same site
+if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+        if (event.key === STORAGE_KEY) {
+            settings = loadSettings();
+            notifyListeners();
+        }
+    });
+}
+
+/**
+ * Create a speaker button that mutes and unmutes all sounds
+ * Every toggle on the page stays in sync with the settings.
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.showVolume - Add a master volume slider next to the button (default: false)
+ * @returns {HTMLElement} Controls container - call its destroy() when removing it for good,
+ *                        so it stops following the settings
+ */
+export function createSoundToggle(options = {}) {
+    const { showVolume = false } = options;
+
+    const container = document.createElement('div');
+    container.className = 'sound-controls';
+    container.style.cssText = 'display: inline-flex; gap: 6px; align-items: center;';
+
+    const toggleButton = document.createElement('button');
+    toggleButton.type = 'button';
+    toggleButton.className = 'sound-toggle';
+    toggleButton.setAttribute('aria-label', 'השתקת צלילים');
+    toggleButton.addEventListener('click', () => toggleMuted());
+    container.appendChild(toggleButton);
+
+    let volumeSlider = null;
+    if (showVolume) {
+        volumeSlider = document.createElement('input');
+        volumeSlider.type = 'range';
+        volumeSlider.min = '0';
+        volumeSlider.max = '100';
+        volumeSlider.className = 'sound-volume';
+        volumeSlider.setAttribute('aria-label', 'עוצמת צלילים');
+        volumeSlider.addEventListener('input', () => setMasterVolume(volumeSlider.value / 100));
+        container.appendChild(volumeSlider);
+    }
+
+    const update = (current) => {
+        toggleButton.textContent = current.muted ? '🔇' : '🔊';
+        toggleButton.title = current.muted ? 'הפעלת צלילים' : 'השתקת צלילים';
+        toggleButton.setAttribute('aria-pressed', String(current.muted));
+        if (volumeSlider) {
+            volumeSlider.value = String(Math.round(current.masterVolume * 100));
+            volumeSlider.disabled = current.muted;
+        }
+    };
+
+    update(getSoundSettings());
+    container.destroy = onSoundSettingsChange(update);
+
+    return container;
+}
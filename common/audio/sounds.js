@@ -1,107 +1,155 @@
 /**
- * Combined Audio Implementation
- * Uses: Error sound from Option 1 (Web Audio API)
- *       Success, Victory, and Game Over from Option 3 (Tone.js)
+ * Game sounds
+ * A registry of sound cues played by name, with the default pack of
+ * default_sounds.js registered when this module loads. Melodies are synthesized
+ * with the Web Audio API (note_sequencer.js), so every game sounds the same with
+ * or without a network; a cue can also be an audio file, preloaded when registered.
  *
- * This is the recommended combination based on user preference.
+ * Every sound respects the device's sound settings (see sound_settings.js):
+ * it plays at the volume of its category, and nothing plays while muted.
  */
 
-// Web Audio context for error sound (from Option 1)
-let audioContext = null;
+import { getSoundVolume, SOUND_CATEGORIES } from './sound_settings.js';
+import { playNoteSequence } from './note_sequencer.js';
+import { DEFAULT_SOUNDS } from './default_sounds.js';
+import { preloadResources } from '../data/loader.js';
+
+const registry = new Map();
 
-// Tone.js synthesizers (from Option 3)
-let correctSynth = null;
-let isInitialized = false;
+let audioContext = null;
 
 /**
- * Initialize both audio systems
- * Call this on first user interaction
+ * Create the audio context
+ * Call this on first user interaction (browsers keep audio suspended until then)
+ * @returns {boolean} Whether audio can be played
  */
 export function initAudio() {
-    console.log('[sounds.js] initAudio() called');
-    console.log('[sounds.js] Current state: audioContext=', audioContext, 'isInitialized=', isInitialized, 'Tone defined?', typeof Tone !== 'undefined');
-
-    // Initialize Web Audio for error sound
     if (!audioContext) {
         try {
-            console.log('[sounds.js] Creating new AudioContext...');
             audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            console.log('[sounds.js] AudioContext created successfully');
         } catch (e) {
-            console.error("[sounds.js] Web Audio API is not supported:", e);
+            console.error('Web Audio API is not supported:', e);
+            return false;
         }
     }
 
-    // Initialize Tone.js for success sounds
-    if (!isInitialized && typeof Tone !== 'undefined') {
-        try {
-            console.log('[sounds.js] Initializing Tone.js synth...');
-            correctSynth = new Tone.Synth({
-                oscillator: { type: 'triangle' },
-                envelope: {
-                    attack: 0.01,
-                    decay: 0.2,
-                    sustain: 0.2,
-                    release: 0.2
-                }
-            }).toDestination();
-
-            isInitialized = true;
-            console.log('[sounds.js] Tone.js initialized successfully');
-        } catch (e) {
-            console.error('[sounds.js] Failed to initialize Tone.js:', e);
-        }
-    } else if (typeof Tone === 'undefined') {
-        console.warn('[sounds.js] Tone.js library not loaded. Success sounds will not work.');
-    } else {
-        console.log('[sounds.js] Already initialized, skipping...');
+    if (audioContext.state === 'suspended') {
+        audioContext.resume().catch(e => console.error('Failed to resume audio:', e));
     }
+    return true;
+}
 
-    console.log('[sounds.js] initAudio() finished. audioContext=', audioContext, 'isInitialized=', isInitialized);
-    return audioContext && isInitialized;
+/**
+ * The audio context, created on first use
+ * @returns {AudioContext|null} Null when Web Audio isn't supported
+ */
+function getContext() {
+    return initAudio() ? audioContext : null;
 }
 
 /**
- * Play error/fail sound using Web Audio API (from Option 1)
- * Simple descending tone
+ * Add a sound cue, replacing a cue with the same name
+ * An audio file is preloaded right away.
+ * @param {string} name - Name to play the cue by
+ * @param {Object} cue - { category, gain, oscillator, envelope, notes } for a melody
+ *                       (see playNoteSequence), or { category, gain, url } for an audio file;
+ *                       category defaults to 'feedback' and gain (0 to 1) to 1
+ * @returns {boolean} Whether the cue was registered
  */
-export function playErrorSound() {
-    console.log('[sounds.js] playErrorSound() called. audioContext=', audioContext);
+export function registerSound(name, cue) {
+    if (!cue || (!Array.isArray(cue.notes) && typeof cue.url !== 'string')) {
+        console.warn(`Sound "${name}" needs notes or a url`);
+        return false;
+    }
 
-    if (!audioContext) {
-        console.log('[sounds.js] No audioContext, trying to init...');
-        initAudio();
+    const registered = { category: 'feedback', gain: 1, ...cue };
+    if (!SOUND_CATEGORIES[registered.category]) {
+        console.warn(`Unknown sound category "${registered.category}"`);
+        return false;
     }
 
-    if (!audioContext) {
-        console.warn('[sounds.js] Still no audioContext after init attempt, returning');
-        return;
+    registry.set(name, registered);
+    if (registered.url) {
+        preloadResources([registered.url]).catch(e => console.error(`Failed to preload sound "${name}":`, e));
     }
+    return true;
+}
+
+/**
+ * Add a pack of sound cues
+ * @param {Object} sounds - Cues by name (see registerSound and default_sounds.js)
+ */
+export function registerSounds(sounds) {
+    Object.entries(sounds).forEach(([name, cue]) => registerSound(name, cue));
+}
+
+export function hasSound(name) {
+    return registry.has(name);
+}
 
+/**
+ * Names of the registered cues
+ * @returns {string[]}
+ */
+export function getSoundNames() {
+    return [...registry.keys()];
+}
+
+/**
+ * Play an audio file cue
+ * @returns {boolean} Whether playing started
+ */
+function playFile(name, url, volume) {
     try {
-        console.log('[sounds.js] Creating error sound with Web Audio...');
-        const oscillator = audioContext.createOscillator();
-        const gainNode = audioContext.createGain();
+        const audio = new Audio(url);
+        audio.volume = Math.min(1, volume);
+        audio.play().catch(e => console.error(`Error playing sound "${name}":`, e));
+        return true;
+    } catch (e) {
+        console.error(`Error playing sound "${name}":`, e);
+        return false;
+    }
+}
+
+/**
+ * Play a registered cue at the volume of its category
+ * @param {string} name - Cue name (e.g. 'cardFlip', 'warningTick', 'hint')
+ * @returns {boolean} Whether the cue was played (false while muted)
+ */
+export function playSound(name) {
+    const cue = registry.get(name);
+    if (!cue) {
+        console.warn(`Unknown sound "${name}"`);
+        return false;
+    }
 
-        oscillator.connect(gainNode);
-        gainNode.connect(audioContext.destination);
+    const volume = getSoundVolume(cue.category) * cue.gain;
+    if (volume === 0) return false;
 
-        // Descending tone for error
-        oscillator.type = 'sine';
-        oscillator.frequency.value = 200; // Lower frequency for error
+    if (cue.url) {
+        return playFile(name, cue.url, volume);
+    }
 
-        const now = audioContext.currentTime;
-        gainNode.gain.setValueAtTime(0.3, now);
-        gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
+    const context = getContext();
+    if (!context) return false;
 
-        oscillator.start(now);
-        oscillator.stop(now + 0.3);
-        console.log('[sounds.js] Error sound scheduled successfully');
+    try {
+        playNoteSequence(context, { ...cue, volume });
+        return true;
     } catch (e) {
-        console.error('[sounds.js] Error playing error sound:', e);
+        console.error(`Error playing sound "${name}":`, e);
+        return false;
     }
 }
 
+/**
+ * Play error/fail sound
+ * Simple low tone that fades out
+ */
+export function playErrorSound() {
+    playSound('error');
+}
+
 /**
  * Play incorrect/wrong sound - alias for error sound
  */
@@ -117,34 +165,11 @@ export function playFailSound() {
 }
 
 /**
- * Play success sound using Tone.js (from Option 3)
+ * Play success sound
  * Ascending arpeggio: C5 -> E5 -> G5
  */
 export function playSuccessSound() {
-    console.log('[sounds.js] playSuccessSound() called. isInitialized=', isInitialized, 'correctSynth=', correctSynth, 'Tone defined?', typeof Tone !== 'undefined');
-
-    if (!isInitialized) {
-        console.log('[sounds.js] Not initialized, trying to init...');
-        initAudio();
-    }
-
-    if (!correctSynth || typeof Tone === 'undefined') {
-        console.warn('[sounds.js] Tone.js not initialized (correctSynth=', correctSynth, '), falling back to Web Audio');
-        playWebAudioSuccess();
-        return;
-    }
-
-    try {
-        console.log('[sounds.js] Playing success sound with Tone.js...');
-        const now = Tone.now();
-        correctSynth.triggerAttackRelease("C5", "8n", now);
-        correctSynth.triggerAttackRelease("E5", "8n", now + 0.15);
-        correctSynth.triggerAttackRelease("G5", "8n", now + 0.3);
-        console.log('[sounds.js] Success sound scheduled successfully');
-    } catch (e) {
-        console.error('[sounds.js] Error playing success sound:', e);
-        playWebAudioSuccess(); // Fallback
-    }
+    playSound('success');
 }
 
 /**
@@ -155,141 +180,31 @@ export function playCorrectSound() {
 }
 
 /**
- * Play victory fanfare using Tone.js (from Option 3)
+ * Play victory fanfare
  */
 export function playVictorySound() {
-    if (!isInitialized) {
-        initAudio();
-    }
-
-    if (typeof Tone === 'undefined') {
-        console.warn('Tone.js not available for victory sound');
-        playSuccessSound(); // Fallback to regular success
-        return;
-    }
-
-    try {
-        const synth = new Tone.Synth({
-            oscillator: { type: 'triangle' },
-            envelope: {
-                attack: 0.01,
-                decay: 0.1,
-                sustain: 0.3,
-                release: 0.3
-            }
-        }).toDestination();
-
-        const now = Tone.now();
-
-        // Victory fanfare sequence
-        synth.triggerAttackRelease("C5", "16n", now);
-        synth.triggerAttackRelease("E5", "16n", now + 0.1);
-        synth.triggerAttackRelease("G5", "16n", now + 0.2);
-        synth.triggerAttackRelease("C6", "8n", now + 0.3);
-        synth.triggerAttackRelease("G5", "16n", now + 0.5);
-        synth.triggerAttackRelease("C6", "4n", now + 0.6);
-
-        // Clean up
-        setTimeout(() => {
-            synth.dispose();
-        }, 2000);
-
-    } catch (e) {
-        console.error('Error playing victory sound:', e);
-    }
+    playSound('victory');
 }
 
 /**
- * Play game over sound using Tone.js (from Option 3)
+ * Play game over sound
  */
 export function playGameOverSound() {
-    if (!isInitialized) {
-        initAudio();
-    }
-
-    if (typeof Tone === 'undefined') {
-        console.warn('Tone.js not available for game over sound');
-        playErrorSound(); // Fallback to error sound
-        return;
-    }
-
-    try {
-        const synth = new Tone.Synth({
-            oscillator: { type: 'sine' },
-            envelope: {
-                attack: 0.1,
-                decay: 0.2,
-                sustain: 0.1,
-                release: 0.5
-            }
-        }).toDestination();
-
-        const now = Tone.now();
-
-        // Descending sad sequence
-        synth.triggerAttackRelease("G4", "8n", now);
-        synth.triggerAttackRelease("F4", "8n", now + 0.2);
-        synth.triggerAttackRelease("E4", "8n", now + 0.4);
-        synth.triggerAttackRelease("D4", "8n", now + 0.6);
-        synth.triggerAttackRelease("C4", "4n", now + 0.8);
-
-        // Clean up
-        setTimeout(() => {
-            synth.dispose();
-        }, 2500);
-
-    } catch (e) {
-        console.error('Error playing game over sound:', e);
-    }
-}
-
-/**
- * Fallback Web Audio success sound if Tone.js is not available
- */
-function playWebAudioSuccess() {
-    console.log('[sounds.js] playWebAudioSuccess() fallback called. audioContext=', audioContext);
-
-    if (!audioContext) {
-        console.warn('[sounds.js] No audioContext for fallback success sound');
-        return;
-    }
-
-    try {
-        console.log('[sounds.js] Creating fallback success sound with Web Audio...');
-        const oscillator = audioContext.createOscillator();
-        const gainNode = audioContext.createGain();
-
-        oscillator.connect(gainNode);
-        gainNode.connect(audioContext.destination);
-
-        oscillator.type = 'sine';
-        oscillator.frequency.setValueAtTime(523.25, audioContext.currentTime); // C5
-        oscillator.frequency.setValueAtTime(659.25, audioContext.currentTime + 0.1); // E5
-        oscillator.frequency.setValueAtTime(783.99, audioContext.currentTime + 0.2); // G5
-
-        gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.4);
-
-        oscillator.start(audioContext.currentTime);
-        oscillator.stop(audioContext.currentTime + 0.4);
-        console.log('[sounds.js] Fallback success sound scheduled successfully');
-    } catch (e) {
-        console.error('[sounds.js] Error playing fallback success sound:', e);
-    }
+    playSound('gameOver');
 }
 
 /**
  * Clean up audio resources
  */
 export function disposeAudio() {
-    if (correctSynth && typeof Tone !== 'undefined') {
-        correctSynth.dispose();
-        correctSynth = null;
+    if (audioContext) {
+        audioContext.close().catch(e => console.error('Failed to close audio:', e));
+        audioContext = null;
     }
-    isInitialized = false;
-    audioContext = null;
 }
 
+registerSounds(DEFAULT_SOUNDS);
+
 // Auto-initialize on first user interaction
 if (typeof window !== 'undefined') {
     window.addEventListener('click', initAudio, { once: true });
@@ -0,0 +1,259 @@
+/**
+ * Speech functions
+ * Read text aloud with the browser's speech synthesis (Web Speech API).
+ * Falls back to a silent no-op when speech or a Hebrew voice isn't available.
+ */
+
+/**
+ * Speaking rate presets (1 = the voice's normal speed)
+ */
+export const SPEECH_RATES = {
+    slow: { label: 'איטי', rate: 0.7 },
+    normal: { label: 'רגיל', rate: 0.9 },
+    fast: { label: 'מהיר', rate: 1.2 }
+};
+
+/**
+ * Check whether the browser can speak at all
+ * @returns {boolean}
+ */
+export function isSpeechSupported() {
+    return typeof window !== 'undefined' &&
+        'speechSynthesis' in window &&
+        typeof window.SpeechSynthesisUtterance === 'function';
+}
+
+/**
+ * Find an installed voice for a language
+ * @param {string} lang - Language tag (e.g. 'he-IL')
+ * @returns {SpeechSynthesisVoice|null} Matching voice, or null if none (or voices not loaded yet)
+ */
+export function findVoice(lang) {
+    if (!isSpeechSupported()) return null;
+
+    const prefix = lang.split('-')[0].toLowerCase();
+    const voices = window.speechSynthesis.getVoices();
+    return voices.find(voice => voice.lang.replace('_', '-').toLowerCase() === lang.toLowerCase()) ||
+        voices.find(voice => voice.lang.toLowerCase().startsWith(prefix)) ||
+        null;
+}
+
+/**
+ * Create a speaker with its own on/off switch and rate
+ * Each game creates one speaker so it keeps its own settings.
+ * @param {Object} options - Configuration options
+ * @param {string} options.storageKey - localStorage key for the settings (omit to not persist)
+ * @param {string} options.lang - Language to speak (default: 'he-IL')
+ * @param {string} options.rate - Rate preset key (see SPEECH_RATES, default: 'normal')
+ * @param {boolean} options.enabled - Whether speaking starts switched on (default: false)
+ * @returns {Object} Speaker control object
+ */
+export function createSpeaker(options = {}) {
+    const {
+        storageKey = null,
+        lang = 'he-IL',
+        rate = 'normal',
+        enabled = false
+    } = options;
+
+    let settings = { enabled, rate };
+
+    if (storageKey) {
+        try {
+            const saved = localStorage.getItem(storageKey);
+            if (saved) {
+                settings = { ...settings, ...JSON.parse(saved) };
+            }
+        } catch (e) {
+            console.error('Failed to load speech settings:', e);
+        }
+    }
+
+    if (!SPEECH_RATES[settings.rate]) {
+        settings.rate = 'normal';
+    }
+
+    const saveSettings = () => {
+        if (!storageKey) return;
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(settings));
+        } catch (e) {
+            console.error('Failed to save speech settings:', e);
+        }
+    };
+
+    /**
+     * Whether there is a voice that can speak the language
+     * False until the browser has loaded its voices (see the 'voiceschanged' event)
+     */
+    const isAvailable = () => findVoice(lang) !== null;
+
+    const createUtterance = (text) => {
+        const utterance = new window.SpeechSynthesisUtterance(text);
+        utterance.lang = lang;
+        utterance.rate = SPEECH_RATES[settings.rate].rate;
+
+        const voice = findVoice(lang);
+        if (voice) {
+            utterance.voice = voice;
+        }
+        return utterance;
+    };
+
+    return {
+        /**
+         * Speak text, interrupting anything still being spoken
+         * Does nothing when switched off or no voice is available
+         * @param {string} text - Text to speak
+         * @returns {boolean} Whether the text was spoken
+         */
+        speak(text) {
+            return this.speakSequence([text]);
+        },
+
+        /**
+         * Speak several pieces of text one after the other
+         * @param {string[]} texts - Texts to speak (empty ones are skipped)
+         * @returns {boolean} Whether anything was spoken
+         */
+        speakSequence(texts) {
+            const parts = texts.map(text => String(text ?? '').trim()).filter(Boolean);
+            if (!settings.enabled || parts.length === 0 || !isAvailable()) {
+                return false;
+            }
+
+            try {
+                window.speechSynthesis.cancel();
+                parts.forEach(text => window.speechSynthesis.speak(createUtterance(text)));
+                return true;
+            } catch (e) {
+                console.error('Failed to speak:', e);
+                return false;
+            }
+        },
+
+        /**
+         * Stop speaking
+         */
+        cancel() {
+            if (isSpeechSupported()) {
+                window.speechSynthesis.cancel();
+            }
+        },
+
+        isAvailable,
+
+        isEnabled() {
+            return settings.enabled;
+        },
+
+        setEnabled(value) {
+            settings.enabled = Boolean(value);
+            if (!settings.enabled) {
+                this.cancel();
+            }
+            saveSettings();
+        },
+
+        /**
+         * Switch speaking on or off
+         * @returns {boolean} Whether speaking is now on
+         */
+        toggle() {
+            this.setEnabled(!settings.enabled);
+            return settings.enabled;
+        },
+
+        getRate() {
+            return settings.rate;
+        },
+
+        /**
+         * Set the speaking rate
+         * @param {string} rateKey - Rate preset key (see SPEECH_RATES)
+         */
+        setRate(rateKey) {
+            if (!SPEECH_RATES[rateKey]) {
+                console.warn(`Unknown speech rate "${rateKey}"`);
+                return;
+            }
+            settings.rate = rateKey;
+            saveSettings();
+        }
+    };
+}
+
+/**
+ * Create an on/off button and a rate picker for a speaker
+ * Hidden while the browser has no voice for the speaker's language;
+ * shown once the voices load
+ * @param {Object} speaker - Speaker from createSpeaker()
+ * @returns {HTMLElement} Controls container - call its destroy() when removing it for good,
+ *                        so it stops waiting for the voices
+ */
+export function createSpeechControls(speaker) {
+    const container = document.createElement('div');
+    container.className = 'speech-controls';
+    container.style.cssText = 'display: inline-flex; gap: 6px; align-items: center;';
+    container.destroy = () => {};
+
+    if (!isSpeechSupported()) {
+        container.style.display = 'none';
+        return container;
+    }
+
+    const synth = window.speechSynthesis;
+    const stopWaitingForVoices = () => {
+        if (typeof synth.removeEventListener === 'function') {
+            synth.removeEventListener('voiceschanged', updateAvailability);
+        }
+    };
+    const updateAvailability = () => {
+        const available = speaker.isAvailable();
+        container.style.display = available ? 'inline-flex' : 'none';
+        if (available) {
+            stopWaitingForVoices();
+        }
+    };
+    if (typeof synth.addEventListener === 'function') {
+        synth.addEventListener('voiceschanged', updateAvailability);
+    }
+    container.destroy = stopWaitingForVoices;
+    updateAvailability();
+
+    // A speaking head, so it isn't mistaken for the sound on/off button
+    const toggleButton = document.createElement('button');
+    toggleButton.type = 'button';
+    toggleButton.className = 'speech-toggle';
+
+    const updateToggle = () => {
+        const enabled = speaker.isEnabled();
+        toggleButton.textContent = enabled ? '🗣️ הקראה פועלת' : '🗣️ הקראה כבויה';
+        toggleButton.title = enabled ? 'הפסקת הקראת המילים' : 'הקראת המילים בקול';
+        toggleButton.setAttribute('aria-pressed', String(enabled));
+        rateSelect.disabled = !enabled;
+    };
+
+    const rateSelect = document.createElement('select');
+    rateSelect.className = 'speech-rate';
+    rateSelect.setAttribute('aria-label', 'מהירות הקראה');
+    Object.entries(SPEECH_RATES).forEach(([key, preset]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = preset.label;
+        rateSelect.appendChild(option);
+    });
+    rateSelect.value = speaker.getRate();
+
+    toggleButton.addEventListener('click', () => {
+        speaker.toggle();
+        updateToggle();
+    });
+    rateSelect.addEventListener('change', () => speaker.setRate(rateSelect.value));
+
+    container.appendChild(toggleButton);
+    container.appendChild(rateSelect);
+    updateToggle();
+
+    return container;
+}
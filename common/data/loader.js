@@ -103,7 +103,7 @@ export async function preloadResources(urls) {
     const promises = urls.map(url => {
         if (url.endsWith('.json')) {
             return loadJSON(url);
-        } else if (url.match(/\.(jpg|jpeg|png|gif|svg)$/i)) {
+        } else if (url.match(/\.(jpg|jpeg|png|gif|svg|webp)$/i) || url.startsWith('data:image/')) {
             return preloadImage(url);
         } else if (url.match(/\.(mp3|wav|ogg)$/i)) {
             return preloadAudio(url);
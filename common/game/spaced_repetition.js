@@ -0,0 +1,208 @@
+/**
+ * Spaced repetition utilities
+ * Leitner-box scheduling of practice items, persisted per topic
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days to wait before an item in each box is due again (index = box number,
+ * there is no box 0): box 1 holds weak items and is due every session, box 2
+ * the next day
+ */
+const BOX_INTERVALS_DAYS = [0, 0, 1, 3, 7, 14];
+
+const MAX_BOX = BOX_INTERVALS_DAYS.length - 1;
+const MAX_ATTEMPTS_HISTORY = 10;
+
+/**
+ * Leitner scheduler
+ * Records how many flips it took to match each item and moves it
+ * between boxes accordingly:
+ *  - matched with the minimum number of flips -> promoted one box
+ *  - matched within a few extra flips -> stays in its box
+ *  - needed many flips -> back to box 1
+ */
+export class LeitnerScheduler {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {string} options.storageKey - localStorage key (default: 'leitnerHistory')
+     * @param {number} options.perfectFlips - Flips that count as a perfect match (default: 2)
+     * @param {number} options.maxFlipsToKeep - Most flips that keep the item in its box (default: 4)
+     */
+    constructor(options = {}) {
+        const {
+            storageKey = 'leitnerHistory',
+            perfectFlips = 2,
+            maxFlipsToKeep = 4
+        } = options;
+
+        this.storageKey = storageKey;
+        this.perfectFlips = perfectFlips;
+        this.maxFlipsToKeep = maxFlipsToKeep;
+        this.history = this.loadHistory();
+    }
+
+    /**
+     * Get the stored record of an item
+     * @param {string} topicKey - Topic identifier (e.g. data file name)
+     * @param {string} itemKey - Item identifier within the topic
+     * @returns {Object|null} Item record or null if never played
+     */
+    getItem(topicKey, itemKey) {
+        const topic = this.history[topicKey];
+        return topic && topic[itemKey] ? topic[itemKey] : null;
+    }
+
+    /**
+     * Get all records of a topic
+     * @param {string} topicKey - Topic identifier
+     * @returns {Object} Map of itemKey -> record
+     */
+    getTopic(topicKey) {
+        return this.history[topicKey] || {};
+    }
+
+    /**
+     * Summarize how well a topic is known
+     * An item counts as matched on the first try when its last match took
+     * no more than the perfect number of flips
+     * @param {string} topicKey - Topic identifier
+     * @returns {Object} { itemsPlayed, firstTryItems, lastPlayed } - lastPlayed is a
+     *                   timestamp, or null if the topic was never played
+     */
+    getTopicSummary(topicKey) {
+        const records = Object.values(this.getTopic(topicKey));
+
+        return {
+            itemsPlayed: records.length,
+            firstTryItems: records.filter(record => record.lastFlips <= this.perfectFlips).length,
+            lastPlayed: records.length > 0
+                ? Math.max(...records.map(record => record.lastSeen || 0))
+                : null
+        };
+    }
+
+    /**
+     * Record the result of matching an item
+     * @param {string} topicKey - Topic identifier
+     * @param {string} itemKey - Item identifier within the topic
+     * @param {number} flips - How many card flips it took to match the item
+     * @param {number} now - Current timestamp (default: Date.now())
+     * @returns {Object} The updated item record
+     */
+    recordResult(topicKey, itemKey, flips, now = Date.now()) {
+        if (!this.history[topicKey]) {
+            this.history[topicKey] = {};
+        }
+
+        const item = this.history[topicKey][itemKey] || {
+            box: 1,
+            timesSeen: 0,
+            firstTryCount: 0,
+            attempts: []
+        };
+
+        if (flips <= this.perfectFlips) {
+            item.box = Math.min(MAX_BOX, item.box + 1);
+            item.firstTryCount++;
+        } else if (flips > this.maxFlipsToKeep) {
+            item.box = 1;
+        }
+
+        item.timesSeen++;
+        item.lastFlips = flips;
+        item.lastSeen = now;
+        item.due = now + BOX_INTERVALS_DAYS[item.box] * DAY_MS;
+        item.attempts.push(flips);
+        if (item.attempts.length > MAX_ATTEMPTS_HISTORY) {
+            item.attempts.shift();
+        }
+
+        this.history[topicKey][itemKey] = item;
+        this.saveHistory();
+        return item;
+    }
+
+    /**
+     * Order items so that due, weak and new items come first
+     * Order: due items (lowest box first, most overdue first) taking turns with
+     * items never played, so new items get dealt even while many are due; then
+     * items that are not due yet (closest due date first).
+     * Items within the same rank keep their incoming order, so shuffle first
+     * for variety.
+     * @param {string} topicKey - Topic identifier
+     * @param {Array} items - Items to order
+     * @param {Function} getKey - Returns the item key of an item
+     * @param {number} now - Current timestamp (default: Date.now())
+     * @returns {Array} A new, ordered array
+     */
+    prioritize(topicKey, items, getKey, now = Date.now()) {
+        const topic = this.getTopic(topicKey);
+
+        const rank = (item) => {
+            const record = topic[getKey(item)];
+            if (!record) return [1, 0, 0];
+            if (record.due <= now) return [0, record.box, record.due];
+            return [2, record.due, 0];
+        };
+
+        const ordered = items
+            .map((item, index) => ({ item, index, rank: rank(item) }))
+            .sort((a, b) => {
+                for (let i = 0; i < a.rank.length; i++) {
+                    if (a.rank[i] !== b.rank[i]) return a.rank[i] - b.rank[i];
+                }
+                return a.index - b.index;
+            });
+
+        const due = ordered.filter(entry => entry.rank[0] === 0);
+        const fresh = ordered.filter(entry => entry.rank[0] === 1);
+        const later = ordered.filter(entry => entry.rank[0] === 2);
+
+        const mixed = [];
+        for (let i = 0; i < Math.max(due.length, fresh.length); i++) {
+            if (i < due.length) mixed.push(due[i]);
+            if (i < fresh.length) mixed.push(fresh[i]);
+        }
+        return [...mixed, ...later].map(entry => entry.item);
+    }
+
+    /**
+     * Forget the history of one topic, or of all topics
+     * @param {string} topicKey - Topic identifier (omit to clear everything)
+     */
+    reset(topicKey) {
+        if (topicKey) {
+            delete this.history[topicKey];
+        } else {
+            this.history = {};
+        }
+        this.saveHistory();
+    }
+
+    /**
+     * Save history to localStorage
+     */
+    saveHistory() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.history));
+        } catch (e) {
+            console.error('Failed to save practice history:', e);
+        }
+    }
+
+    /**
+     * Load history from localStorage
+     * @returns {Object} Stored history (empty object if none)
+     */
+    loadHistory() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : {};
+        } catch (e) {
+            console.error('Failed to load practice history:', e);
+            return {};
+        }
+    }
+}
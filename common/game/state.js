@@ -132,7 +132,20 @@ export class GameState {
  * Score manager for games
  */
 export class ScoreManager {
-    constructor(initialScore = 0) {
+    /**
+     * @param {number} initialScore - Starting score
+     * @param {Object} options - Configuration options
+     * @param {string} options.storageKey - localStorage key for the high score (default: 'highScore')
+     * @param {boolean} options.lowerIsBetter - Best result is the lowest score, e.g. moves (default: false)
+     */
+    constructor(initialScore = 0, options = {}) {
+        const {
+            storageKey = 'highScore',
+            lowerIsBetter = false
+        } = options;
+
+        this.storageKey = storageKey;
+        this.lowerIsBetter = lowerIsBetter;
         this.score = initialScore;
         this.highScore = this.loadHighScore();
         this.listeners = [];
@@ -180,13 +193,29 @@ export class ScoreManager {
     }
 
     /**
-     * Update high score if current score is higher
+     * Check whether a score beats the high score
+     * When lower is better, a high score of 0 means no result was saved yet
+     * @param {number} score - Score to compare
+     * @returns {boolean} Is better than the high score
+     */
+    isBetterThanHighScore(score) {
+        if (this.lowerIsBetter) {
+            return this.highScore === 0 || score < this.highScore;
+        }
+        return score > this.highScore;
+    }
+
+    /**
+     * Update high score if current score is better
+     * @returns {boolean} Whether a new high score was set
      */
     updateHighScore() {
-        if (this.score > this.highScore) {
+        if (this.isBetterThanHighScore(this.score)) {
             this.highScore = this.score;
             this.saveHighScore();
+            return true;
         }
+        return false;
     }
 
     /**
@@ -194,7 +223,7 @@ export class ScoreManager {
      */
     saveHighScore() {
         try {
-            localStorage.setItem('highScore', this.highScore.toString());
+            localStorage.setItem(this.storageKey, this.highScore.toString());
         } catch (e) {
             console.error('Failed to save high score:', e);
         }
@@ -205,7 +234,7 @@ export class ScoreManager {
      */
     loadHighScore() {
         try {
-            const saved = localStorage.getItem('highScore');
+            const saved = localStorage.getItem(this.storageKey);
             return saved ? parseInt(saved, 10) : 0;
         } catch (e) {
             console.error('Failed to load high score:', e);
@@ -53,7 +53,7 @@ export {
     validateGameSettings
 } from './utils/validation.js';
 
-// Audio functions (Combined implementation)
+// Audio functions (sound registry and Web Audio game sounds)
 export {
     initAudio,
     playSuccessSound,
@@ -63,25 +63,68 @@ export {
     playFailSound,
     playVictorySound,
     playGameOverSound,
-    disposeAudio
+    disposeAudio,
+    registerSound,
+    registerSounds,
+    hasSound,
+    getSoundNames,
+    playSound
 } from './audio/sounds.js';
 
-// Timer utilities - Option 1 (Function-based)
+// Default sound cues (card flip, warning tick, bomb, chaser step, hint...)
+export { DEFAULT_SOUNDS } from './audio/default_sounds.js';
+
+// Note sequencer (melodies with Web Audio)
+export {
+    DEFAULT_ENVELOPE,
+    noteToFrequency,
+    durationToSeconds,
+    playNoteSequence
+} from './audio/note_sequencer.js';
+
+// Sound settings (mute and volumes shared by all games)
+export {
+    SOUND_CATEGORIES,
+    getSoundSettings,
+    isMuted,
+    setMuted,
+    toggleMuted,
+    setMasterVolume,
+    setCategoryVolume,
+    getSoundVolume,
+    onSoundSettingsChange,
+    createSoundToggle
+} from './audio/sound_settings.js';
+
+// Speech (read aloud)
+export {
+    SPEECH_RATES,
+    isSpeechSupported,
+    findVoice,
+    createSpeaker,
+    createSpeechControls
+} from './audio/speech.js';
+
+// Timer utilities (function-based countdown and stopwatch)
 export {
     createCountdownTimer,
-    createStopwatch,
+    createStopwatch
+} from './timer/simple_timers.js';
+
+// Time formatting
+export {
     formatTime,
     formatTimeHebrew
-} from './timer/timer_option_1.js';
+} from './timer/format_time.js';
 
-// Timer utilities - Option 2 (Class-based)
-export { GameTimer } from './timer/timer_option_2.js';
+// Timer utilities (class-based, with events)
+export { GameTimer } from './timer/game_timer.js';
 
-// Timer utilities - Option 3 (Circular progress)
+// Timer utilities (circular progress)
 export {
     createCircularTimer,
     createTimerSVG
-} from './timer/timer_option_3.js';
+} from './timer/countdown_timer.js';
 
 // Data loading utilities
 export {
@@ -107,6 +150,9 @@ export {
     StatsTracker
 } from './game/state.js';
 
+// Spaced repetition
+export { LeitnerScheduler } from './game/spaced_repetition.js';
+
 /**
  * Version information
  */
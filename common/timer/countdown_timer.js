@@ -1,10 +1,13 @@
 /**
- * Timer functions - Option 3: Timer with circular SVG progress
+ * Timer functions - timer with circular SVG progress
  * Source: division_signs.html
  */
 
 /**
  * Create a timer with circular SVG progress indicator
+ * The time left is measured against the wall clock, so a busy or throttled page
+ * doesn't slow the countdown down. While the page is hidden (another tab or app)
+ * the timer pauses, and it continues when the page is shown again.
  * @param {Object} options - Configuration options
  * @param {number} options.duration - Total duration in seconds
  * @param {HTMLElement} options.svgCircle - SVG circle element for progress
@@ -14,6 +17,9 @@
  * @param {Function} options.onComplete - Called when timer completes
  * @param {Function} options.onWarning - Called when time is running low
  * @param {number} options.warningTime - When to trigger warning (default: 10)
+ * @param {boolean} options.pauseWhenHidden - Pause while the page is hidden (default: true)
+ * @param {boolean} options.smooth - Move the ring every animation frame instead of once a
+ *                                   second; turns off the ring's CSS transition (default: false)
  * @returns {Object} Timer control object
  */
 export function createCircularTimer(options) {
@@ -25,19 +31,46 @@ export function createCircularTimer(options) {
         onTick = () => {},
         onComplete = () => {},
         onWarning = () => {},
-        warningTime = 10
+        warningTime = 10,
+        pauseWhenHidden = true,
+        smooth = false
     } = options;
 
+    const durationMs = duration * 1000;
     let timeLeft = duration;
-    let intervalId = null;
+    let remainingMs = durationMs; // Time left while not running
+    let endTime = null; // Wall-clock time the countdown ends at, while running
+    let timeoutId = null;
+    let frameId = null;
+    let isPaused = false;
+    let isPausedByVisibility = false;
     let isWarningTriggered = false;
 
-    const updateDisplay = () => {
-        // Update circular progress
+    if (smooth && svgCircle) {
+        svgCircle.style.transition = 'none';
+    }
+
+    const getRemainingMs = () => (endTime === null ? remainingMs : Math.max(0, endTime - Date.now()));
+
+    const updateRing = (ms) => {
         if (svgCircle) {
-            const offset = circumference - (timeLeft / duration) * circumference;
+            const offset = circumference - (ms / durationMs) * circumference;
             svgCircle.style.strokeDashoffset = offset;
         }
+    };
+
+    const setWarningColor = (warning) => {
+        if (svgCircle) {
+            svgCircle.classList.toggle('text-red-500', warning);
+            svgCircle.classList.toggle('text-blue-500', !warning);
+        }
+    };
+
+    const updateDisplay = () => {
+        // Update circular progress
+        if (!smooth || endTime === null) {
+            updateRing(timeLeft * 1000);
+        }
 
         // Update text display
         if (textElement) {
@@ -50,48 +83,134 @@ export function createCircularTimer(options) {
         // Handle warning state
         if (timeLeft <= warningTime && !isWarningTriggered) {
             isWarningTriggered = true;
-            if (svgCircle) {
-                svgCircle.classList.remove('text-blue-500');
-                svgCircle.classList.add('text-red-500');
-            }
+            setWarningColor(true);
             onWarning(timeLeft);
         }
     };
 
-    return {
-        start() {
-            if (intervalId) return;
+    const animateRing = () => {
+        updateRing(getRemainingMs());
+        frameId = requestAnimationFrame(animateRing);
+    };
 
-            // Initialize display
+    const clearScheduled = () => {
+        clearTimeout(timeoutId);
+        timeoutId = null;
+        if (frameId !== null) {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+    };
+
+    const pauseRunning = () => {
+        if (endTime === null) return;
+
+        remainingMs = getRemainingMs();
+        endTime = null;
+        clearScheduled();
+        isPaused = true;
+    };
+
+    const handleVisibilityChange = () => {
+        if (document.hidden && endTime !== null) {
+            pauseRunning();
+            isPausedByVisibility = true;
+        } else if (!document.hidden && isPausedByVisibility) {
+            isPausedByVisibility = false;
+            timer.resume();
+        }
+    };
+
+    const listenToVisibility = (listen) => {
+        if (!pauseWhenHidden || typeof document === 'undefined') return;
+        if (listen) {
+            document.addEventListener('visibilitychange', handleVisibilityChange);
+        } else {
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        }
+    };
+
+    // Check the clock at each whole second of the time left
+    const scheduleTick = () => {
+        const ms = getRemainingMs();
+        const seconds = Math.ceil(ms / 1000);
+
+        if (seconds !== timeLeft) {
+            timeLeft = seconds;
             updateDisplay();
+            onTick(timeLeft);
+        }
+
+        if (ms <= 0) {
+            timer.stop();
+            onComplete();
+            return;
+        }
+
+        timeoutId = setTimeout(scheduleTick, ms % 1000 || 1000);
+    };
 
-            intervalId = setInterval(() => {
-                timeLeft--;
-                updateDisplay();
-                onTick(timeLeft);
+    const run = () => {
+        endTime = Date.now() + remainingMs;
+        isPaused = false;
+        timeoutId = setTimeout(scheduleTick, remainingMs % 1000 || 1000);
+        if (smooth && svgCircle) {
+            frameId = requestAnimationFrame(animateRing);
+        }
+    };
+
+    const timer = {
+        /**
+         * Start counting down from the time left
+         */
+        start() {
+            if (endTime !== null || remainingMs <= 0) return;
 
-                if (timeLeft <= 0) {
-                    this.stop();
-                    onComplete();
-                }
-            }, 1000);
+            // Initialize display
+            updateDisplay();
+            listenToVisibility(true);
+            run();
         },
 
+        /**
+         * Stop counting; start() continues from the time left
+         */
         stop() {
-            if (intervalId) {
-                clearInterval(intervalId);
-                intervalId = null;
+            if (endTime !== null) {
+                remainingMs = getRemainingMs();
+                endTime = null;
             }
+            clearScheduled();
+            isPaused = false;
+            isPausedByVisibility = false;
+            listenToVisibility(false);
+        },
+
+        /**
+         * Pause a running timer, keeping the time left
+         * It stays paused when the page is shown again, until resume().
+         */
+        pause() {
+            isPausedByVisibility = false;
+            pauseRunning();
+        },
+
+        /**
+         * Continue a paused timer
+         */
+        resume() {
+            if (!isPaused) return;
+            run();
         },
 
         reset() {
             this.stop();
             timeLeft = duration;
+            remainingMs = durationMs;
             isWarningTriggered = false;
+            setWarningColor(false);
 
             if (svgCircle) {
-                svgCircle.classList.remove('text-red-500');
-                svgCircle.classList.add('text-blue-500');
                 svgCircle.style.strokeDashoffset = 0;
             }
 
@@ -102,18 +221,34 @@ export function createCircularTimer(options) {
             return timeLeft;
         },
 
+        isRunning() {
+            return endTime !== null;
+        },
+
+        isPaused() {
+            return isPaused;
+        },
+
         addTime(seconds) {
-            timeLeft = Math.min(duration, timeLeft + seconds);
+            const ms = Math.min(durationMs, getRemainingMs() + seconds * 1000);
+            if (endTime !== null) {
+                endTime = Date.now() + ms;
+                clearTimeout(timeoutId);
+                timeoutId = setTimeout(scheduleTick, ms % 1000 || 1000);
+            } else {
+                remainingMs = ms;
+            }
+
+            timeLeft = Math.ceil(ms / 1000);
             if (timeLeft > warningTime && isWarningTriggered) {
                 isWarningTriggered = false;
-                if (svgCircle) {
-                    svgCircle.classList.remove('text-red-500');
-                    svgCircle.classList.add('text-blue-500');
-                }
+                setWarningColor(false);
             }
             updateDisplay();
         }
     };
+
+    return timer;
 }
 
 /**
@@ -0,0 +1,65 @@
+/**
+ * Time formatting functions
+ * Show a number of seconds as a clock ("1:05") or as Hebrew words ("דקה ו-5 שניות")
+ */
+
+/**
+ * Format seconds as a clock: m:ss, or h:mm:ss from one hour up
+ * @param {number} totalSeconds - Time in seconds (fractions are dropped, negatives count as 0)
+ * @returns {string} Formatted time, e.g. "2:07"
+ */
+export function formatTime(totalSeconds) {
+    const seconds = Math.max(0, Math.floor(totalSeconds || 0));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = String(seconds % 60).padStart(2, '0');
+
+    if (hours > 0) {
+        return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`;
+    }
+    return `${minutes}:${secs}`;
+}
+
+/**
+ * Hebrew units: singular form, and plural form after a number
+ */
+const HEBREW_UNITS = [
+    { seconds: 3600, one: 'שעה', many: 'שעות', two: 'שעתיים' },
+    { seconds: 60, one: 'דקה', many: 'דקות', two: 'שתי דקות' },
+    { seconds: 1, one: 'שנייה', many: 'שניות', two: 'שתי שניות' }
+];
+
+/**
+ * Format seconds as Hebrew words, e.g. "דקה ו-30 שניות", "שעתיים ו-5 דקות"
+ * @param {number} totalSeconds - Time in seconds (fractions are dropped, negatives count as 0)
+ * @returns {string} Formatted time ("0 שניות" for no time)
+ */
+export function formatTimeHebrew(totalSeconds) {
+    let remaining = Math.max(0, Math.floor(totalSeconds || 0));
+    if (remaining === 0) {
+        return '0 שניות';
+    }
+
+    const parts = [];
+    HEBREW_UNITS.forEach(unit => {
+        const count = Math.floor(remaining / unit.seconds);
+        remaining %= unit.seconds;
+
+        if (count === 1) {
+            parts.push(unit.one);
+        } else if (count === 2) {
+            parts.push(unit.two);
+        } else if (count > 2) {
+            parts.push(`${count} ${unit.many}`);
+        }
+    });
+
+    if (parts.length === 1) {
+        return parts[0];
+    }
+
+    // "ו" is joined to a word, and to a number with a hyphen
+    const last = parts.pop();
+    const and = /^\d/.test(last) ? 'ו-' : 'ו';
+    return `${parts.join(', ')} ${and}${last}`;
+}
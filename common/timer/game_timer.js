@@ -0,0 +1,196 @@
+/**
+ * Game timer class
+ * A countdown (or, without a duration, a stopwatch) that games subscribe to
+ * with events instead of passing callbacks.
+ */
+
+/**
+ * Game timer
+ * Events (listener payload):
+ *  - 'tick'     { time } - every second; time left, or elapsed time without a duration
+ *  - 'warning'  { time } - once when the time left reaches warningTime
+ *  - 'complete' { }      - when the countdown reaches 0
+ *  - 'start', 'pause', 'resume', 'reset' { time }
+ */
+export class GameTimer {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {number|null} options.duration - Countdown length in seconds; null counts up (default: 60)
+     * @param {number} options.warningTime - Seconds left that trigger 'warning' (default: 10)
+     */
+    constructor(options = {}) {
+        const {
+            duration = 60,
+            warningTime = 10
+        } = options;
+
+        this.duration = duration;
+        this.warningTime = warningTime;
+        this.listeners = {};
+        this.intervalId = null;
+        this.started = false;
+        this.time = duration ?? 0;
+        this.isWarningTriggered = false;
+    }
+
+    /**
+     * Subscribe to a timer event
+     * @param {string} event - Event name
+     * @param {Function} listener - Callback receiving the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, listener) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Unsubscribe from a timer event
+     * @param {string} event - Event name
+     * @param {Function} listener - Callback given to on()
+     */
+    off(event, listener) {
+        const listeners = this.listeners[event] || [];
+        const index = listeners.indexOf(listener);
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Notify the listeners of an event
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     */
+    emit(event, payload = {}) {
+        (this.listeners[event] || []).slice().forEach(listener => {
+            listener(payload);
+        });
+    }
+
+    /**
+     * Whether the timer counts down
+     * @returns {boolean}
+     */
+    isCountdown() {
+        return this.duration !== null;
+    }
+
+    /**
+     * Start the timer; a paused timer is resumed
+     */
+    start() {
+        if (this.intervalId) return;
+        if (this.isCountdown() && this.time <= 0) return;
+
+        const event = this.started ? 'resume' : 'start';
+        this.started = true;
+        this.intervalId = setInterval(() => this.tick(), 1000);
+        this.emit(event, { time: this.time });
+    }
+
+    /**
+     * Advance the timer by one second
+     */
+    tick() {
+        this.time += this.isCountdown() ? -1 : 1;
+        this.emit('tick', { time: this.time });
+        this.checkWarning();
+
+        if (this.isCountdown() && this.time <= 0) {
+            this.stop();
+            this.emit('complete');
+        }
+    }
+
+    /**
+     * Emit 'warning' the first time the time left reaches warningTime
+     */
+    checkWarning() {
+        if (!this.isCountdown() || this.isWarningTriggered) return;
+
+        if (this.time <= this.warningTime && this.time > 0) {
+            this.isWarningTriggered = true;
+            this.emit('warning', { time: this.time });
+        }
+    }
+
+    /**
+     * Pause the timer; start() or resume() continues it
+     */
+    pause() {
+        if (!this.intervalId) return;
+
+        this.stop();
+        this.emit('pause', { time: this.time });
+    }
+
+    /**
+     * Continue a paused timer
+     */
+    resume() {
+        if (this.started) {
+            this.start();
+        }
+    }
+
+    /**
+     * Stop the timer without an event
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+
+    /**
+     * Stop and go back to the beginning
+     * @param {number|null} duration - New countdown length (default: the current one)
+     */
+    reset(duration = this.duration) {
+        this.stop();
+        this.duration = duration;
+        this.time = duration ?? 0;
+        this.started = false;
+        this.isWarningTriggered = false;
+        this.emit('reset', { time: this.time });
+    }
+
+    /**
+     * Add seconds to a countdown (negative seconds take time away)
+     * Taking away the last seconds completes the countdown right away
+     * @param {number} seconds - Seconds to add
+     */
+    addTime(seconds) {
+        if (!this.isCountdown() || this.time <= 0) return;
+
+        this.time = Math.max(0, this.time + seconds);
+        if (this.time > this.warningTime) {
+            this.isWarningTriggered = false;
+        }
+        this.emit('tick', { time: this.time });
+        this.checkWarning();
+
+        if (this.time <= 0) {
+            this.stop();
+            this.emit('complete');
+        }
+    }
+
+    /**
+     * Time left of a countdown, or elapsed time of a stopwatch
+     * @returns {number} Seconds
+     */
+    getTime() {
+        return this.time;
+    }
+
+    isRunning() {
+        return this.intervalId !== null;
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * Timer functions
+ * A countdown and a stopwatch that count whole seconds and report through callbacks.
+ * For a countdown drawn as a circle see countdown_timer.js.
+ */
+
+/**
+ * Create a countdown timer
+ * @param {Object} options - Configuration options
+ * @param {number} options.duration - Total duration in seconds (default: 60)
+ * @param {Function} options.onTick - Called every second with the seconds left
+ * @param {Function} options.onComplete - Called when the time is up
+ * @param {Function} options.onWarning - Called once when the time left reaches warningTime
+ * @param {number} options.warningTime - Seconds left that trigger the warning (default: 10)
+ * @returns {Object} Timer control object
+ */
+export function createCountdownTimer(options = {}) {
+    const {
+        duration = 60,
+        onTick = () => {},
+        onComplete = () => {},
+        onWarning = () => {},
+        warningTime = 10
+    } = options;
+
+    let totalTime = duration;
+    let timeLeft = duration;
+    let intervalId = null;
+    let isWarningTriggered = false;
+
+    const checkWarning = () => {
+        if (timeLeft <= warningTime && timeLeft > 0 && !isWarningTriggered) {
+            isWarningTriggered = true;
+            onWarning(timeLeft);
+        }
+    };
+
+    return {
+        /**
+         * Start (or continue) counting down
+         */
+        start() {
+            if (intervalId || timeLeft <= 0) return;
+
+            intervalId = setInterval(() => {
+                timeLeft--;
+                onTick(timeLeft);
+                checkWarning();
+
+                if (timeLeft <= 0) {
+                    this.stop();
+                    onComplete();
+                }
+            }, 1000);
+        },
+
+        /**
+         * Stop counting; start() continues from the time left
+         */
+        stop() {
+            if (intervalId) {
+                clearInterval(intervalId);
+                intervalId = null;
+            }
+        },
+
+        /**
+         * Stop and set the full time again
+         * @param {number} newDuration - New duration in seconds (default: the current one)
+         */
+        reset(newDuration = totalTime) {
+            this.stop();
+            totalTime = newDuration;
+            timeLeft = newDuration;
+            isWarningTriggered = false;
+        },
+
+        getTimeLeft() {
+            return timeLeft;
+        },
+
+        getDuration() {
+            return totalTime;
+        },
+
+        isRunning() {
+            return intervalId !== null;
+        },
+
+        /**
+         * Add (or with a negative number, take away) seconds
+         * The warning can trigger again once the time left is above warningTime;
+         * taking away the last seconds ends the countdown right away
+         * @param {number} seconds - Seconds to add
+         */
+        addTime(seconds) {
+            if (timeLeft <= 0) return;
+
+            timeLeft = Math.max(0, timeLeft + seconds);
+            if (timeLeft > warningTime) {
+                isWarningTriggered = false;
+            }
+            onTick(timeLeft);
+            checkWarning();
+
+            if (timeLeft <= 0) {
+                this.stop();
+                onComplete();
+            }
+        }
+    };
+}
+
+/**
+ * Create a stopwatch that counts the seconds since it started
+ * @param {Object} options - Configuration options
+ * @param {Function} options.onTick - Called every second with the elapsed seconds
+ * @returns {Object} Stopwatch control object
+ */
+export function createStopwatch(options = {}) {
+    const { onTick = () => {} } = options;
+
+    let elapsed = 0;
+    let intervalId = null;
+
+    return {
+        /**
+         * Start (or continue) counting
+         */
+        start() {
+            if (intervalId) return;
+
+            intervalId = setInterval(() => {
+                elapsed++;
+                onTick(elapsed);
+            }, 1000);
+        },
+
+        /**
+         * Stop counting; start() continues from the elapsed time
+         */
+        stop() {
+            if (intervalId) {
+                clearInterval(intervalId);
+                intervalId = null;
+            }
+        },
+
+        /**
+         * Stop and go back to 0
+         */
+        reset() {
+            this.stop();
+            elapsed = 0;
+            onTick(elapsed);
+        },
+
+        getElapsed() {
+            return elapsed;
+        },
+
+        isRunning() {
+            return intervalId !== null;
+        }
+    };
+}
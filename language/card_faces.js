@@ -0,0 +1,88 @@
+/**
+ * Card Faces
+ * A term in the topic data is either a word or a picture, so picture↔word
+ * topics can be built for children who can't read yet. Picture terms are:
+ *  - a path to an image file ("images/כלב.png"), relative to the topic file
+ *  - an inline SVG ("<svg ...>...</svg>")
+ *  - an image data URL ("data:image/png;base64,...")
+ * Pictures are always shown through <img>, so inline SVG can't run scripts.
+ */
+
+const IMAGE_PATH = /\.(png|jpe?g|gif|svg|webp)$/i;
+const INLINE_SVG = /^\s*<svg[\s>][\s\S]*<\/svg>\s*$/i;
+const SVG_TITLE = /<title>([^<]*)<\/title>/i;
+
+/**
+ * Whether a term is shown as a picture
+ * @param {string} term - Term from the topic data
+ * @returns {boolean}
+ */
+export function isImageTerm(term) {
+    const text = String(term).trim();
+    return IMAGE_PATH.test(text) || INLINE_SVG.test(text) || text.startsWith('data:image/');
+}
+
+/**
+ * URL to load a picture term from
+ * @param {string} term - Picture term
+ * @param {string} baseUrl - URL relative paths are resolved against (the topic file)
+ * @returns {string} Image URL (a data URL for inline SVG)
+ */
+export function getImageUrl(term, baseUrl = document.baseURI) {
+    const text = String(term).trim();
+    if (INLINE_SVG.test(text)) {
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(text)}`;
+    }
+    if (text.startsWith('data:image/')) {
+        return text;
+    }
+    return new URL(text, baseUrl).href;
+}
+
+/**
+ * Text that stands for a term in labels, messages and speech
+ * Pictures are named by their file name or the SVG's <title>
+ * @param {string} term - Term from the topic data
+ * @returns {string}
+ */
+export function getTermLabel(term) {
+    const text = String(term).trim();
+    if (!isImageTerm(text)) {
+        return text;
+    }
+
+    if (INLINE_SVG.test(text)) {
+        const title = text.match(SVG_TITLE);
+        return title ? title[1].trim() : 'תמונה';
+    }
+    if (text.startsWith('data:image/')) {
+        return 'תמונה';
+    }
+
+    let fileName = text.split('/').pop().replace(IMAGE_PATH, '');
+    try {
+        fileName = decodeURIComponent(fileName);
+    } catch (e) {
+        // A stray "%" - keep the file name as written
+    }
+    return fileName.replace(/_/g, ' ') || 'תמונה';
+}
+
+/**
+ * Create the content of a card face (or a review entry) for a term
+ * @param {string} term - Term from the topic data
+ * @param {string} baseUrl - URL relative picture paths are resolved against
+ * @returns {Node} An <img> for pictures, a text node for words
+ */
+export function createTermElement(term, baseUrl = document.baseURI) {
+    if (!isImageTerm(term)) {
+        return document.createTextNode(term);
+    }
+
+    const image = document.createElement('img');
+    image.className = 'card-image';
+    image.src = getImageUrl(term, baseUrl);
+    image.alt = getTermLabel(term);
+    image.draggable = false;
+    return image;
+}
@@ -0,0 +1,363 @@
+/**
+ * Custom Topics
+ * Word lists a parent types, pastes or uploads as CSV on memory_game.html,
+ * kept in localStorage instead of the data folder.
+ * Rows are read with the rules of data/csv_to_json_multiple.py: cells are trimmed,
+ * annotation cells (hint=, explanation=, example=, tags=) are taken out, and rows
+ * with fewer terms than the minimum are reported as invalid.
+ * A saved topic is played through a deck provider (see deck_providers.js).
+ *
+ * Topics are shared between devices as a topic pack, a JSON file:
+ *   { format: 'memory-game-topic-pack', version: 1, exportedAt,
+ *     topics: [{ name, description, data }] }
+ * where data is in one of the topic file formats (pairs or entries, with metadata).
+ */
+
+import { splitAnnotations } from './entry_annotations.js';
+
+const STORAGE_KEY = 'memoryGameCustomTopics';
+const KEY_PREFIX = 'custom:';
+const PACK_FORMAT = 'memory-game-topic-pack';
+const PACK_VERSION = 1;
+const NOTE_FIELDS = ['hint', 'explanation', 'example'];
+
+/**
+ * Category custom topics are listed under in the topic browser
+ */
+export const CUSTOM_TOPIC_CATEGORY = 'הנושאים שלי';
+
+/**
+ * Split CSV text into rows of cells
+ * Quoted cells may hold commas, line breaks and doubled quotes ("").
+ * Text pasted from a spreadsheet is separated by tabs, which are used
+ * when the first row has a tab and no comma.
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of cells; a blank line is a row with one empty cell
+ */
+export function parseCsv(text) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const firstLine = input.split(/\r?\n/).find(line => line.trim()) || '';
+    const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char !== '"') {
+                cell += char;
+            } else if (input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Convert CSV text to topic data in the format of csv_to_json_multiple.py
+ * @param {string} text - CSV text, one entry per row
+ * @param {Object} options - Configuration options
+ * @param {number} options.minAlternatives - Fewest terms a row needs (default: 2)
+ * @param {string} options.sourceName - Name of the pasted or uploaded file (default: '')
+ * @returns {Object} { metadata, entries, invalid_rows? } - invalid_rows lists the rows
+ *                   with content but too few terms ({ row_number, content, element_count, reason })
+ */
+export function csvToTopicData(text, options = {}) {
+    const { minAlternatives = 2, sourceName = '' } = options;
+    const entries = [];
+    const invalidRows = [];
+
+    parseCsv(text).forEach((cells, index) => {
+        const rowNumber = index + 1;
+        const row = cells.map(cell => cell.trim()).filter(Boolean);
+        const { terms, annotations } = splitAnnotations(row);
+
+        if (terms.length >= minAlternatives) {
+            entries.push({
+                id: rowNumber,
+                alternatives_count: terms.length,
+                alternatives: terms,
+                ...annotations
+            });
+        } else if (terms.length > 0) {
+            invalidRows.push({
+                row_number: rowNumber,
+                content: terms,
+                element_count: terms.length,
+                reason: `Less than ${minAlternatives} alternatives`
+            });
+        }
+    });
+
+    const data = {
+        metadata: {
+            source_file: sourceName,
+            total_entries: entries.length,
+            minimum_alternatives_required: minAlternatives
+        },
+        entries
+    };
+
+    if (invalidRows.length > 0) {
+        data.invalid_rows = {
+            count: invalidRows.length,
+            details: invalidRows
+        };
+    }
+
+    return data;
+}
+
+/**
+ * Load the saved custom topics
+ * @returns {Array} Topics ({ key, name, description, createdAt, data }), oldest first
+ */
+export function loadCustomTopics() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        const topics = saved ? JSON.parse(saved) : [];
+        return Array.isArray(topics) ? topics : [];
+    } catch (e) {
+        console.error('Failed to load custom topics:', e);
+        return [];
+    }
+}
+
+/**
+ * Store the custom topics
+ * @param {Array} topics - Topics to keep
+ * @returns {boolean} Whether they were saved (storage may be full)
+ */
+function storeCustomTopics(topics) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(topics));
+        return true;
+    } catch (e) {
+        console.error('Failed to save custom topics:', e);
+        return false;
+    }
+}
+
+/**
+ * Key a custom topic is saved, played and linked under
+ * @param {string} name - Topic name
+ * @returns {string}
+ */
+export function getCustomTopicKey(name) {
+    return `${KEY_PREFIX}${String(name).trim()}`;
+}
+
+/**
+ * Save a custom topic, replacing a saved topic with the same name
+ * @param {Object} topic - { name, description, data } - data from csvToTopicData()
+ * @returns {Object|null} The saved topic, or null if it couldn't be stored
+ */
+export function saveCustomTopic({ name, description = '', data }) {
+    const topic = {
+        key: getCustomTopicKey(name),
+        name: String(name).trim(),
+        description: String(description).trim(),
+        createdAt: Date.now(),
+        data
+    };
+
+    const topics = loadCustomTopics().filter(saved => saved.key !== topic.key);
+    topics.push(topic);
+    return storeCustomTopics(topics) ? topic : null;
+}
+
+/**
+ * Delete a saved custom topic
+ * @param {string} key - Key of the topic
+ * @returns {boolean} Whether a topic was deleted
+ */
+export function deleteCustomTopic(key) {
+    const topics = loadCustomTopics();
+    const remaining = topics.filter(topic => topic.key !== key);
+    if (remaining.length === topics.length) {
+        return false;
+    }
+    return storeCustomTopics(remaining);
+}
+
+/**
+ * Deck provider that plays a saved custom topic
+ * @param {Object} topic - Saved topic from loadCustomTopics()
+ * @returns {Object} Deck provider
+ */
+export function createCustomTopicDeck(topic) {
+    return {
+        key: topic.key,
+        name: topic.name,
+        description: topic.description,
+        category: CUSTOM_TOPIC_CATEGORY,
+        totalEntries: (topic.data.pairs || topic.data.entries || []).length,
+        load() {
+            return topic.data;
+        }
+    };
+}
+
+/**
+ * Deck providers of all saved custom topics
+ * @returns {Array} Deck providers
+ */
+export function getCustomTopicDecks() {
+    return loadCustomTopics().map(createCustomTopicDeck);
+}
+
+/**
+ * Check topic data against the formats MemoryGameEngine.parseEntries() reads:
+ * { pairs: [{ id?, term1, term2 }] } or { entries: [{ id?, alternatives: [...] }] },
+ * each item with optional hint, explanation, example (text) and tags (list of text)
+ * @param {Object} data - Topic data
+ * @returns {string[]} Problems found (empty when the data can be played)
+ */
+export function validateTopicData(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['הנתונים אינם אובייקט'];
+    }
+
+    const isText = value => (typeof value === 'string' && value.trim() !== '') || typeof value === 'number';
+    const errors = [];
+    let items;
+    let readTerms;
+
+    if (Array.isArray(data.pairs)) {
+        items = data.pairs;
+        readTerms = item => [item.term1, item.term2];
+    } else if (Array.isArray(data.entries)) {
+        items = data.entries;
+        readTerms = item => item.alternatives;
+    } else {
+        return ['חסרה רשימת pairs או entries'];
+    }
+
+    items.forEach((item, index) => {
+        const label = `ערך ${index + 1}`;
+        if (!item || typeof item !== 'object') {
+            errors.push(`${label}: אינו אובייקט`);
+            return;
+        }
+
+        const terms = readTerms(item);
+        if (!Array.isArray(terms) || terms.length < 2 || !terms.every(isText)) {
+            errors.push(`${label}: צריך לפחות 2 מילים`);
+        }
+        if (item.id !== undefined && !isText(item.id)) {
+            errors.push(`${label}: מזהה לא תקין`);
+        }
+        NOTE_FIELDS.forEach(field => {
+            if (item[field] !== undefined && typeof item[field] !== 'string') {
+                errors.push(`${label}: השדה ${field} צריך להיות טקסט`);
+            }
+        });
+        if (item.tags !== undefined && (!Array.isArray(item.tags) || !item.tags.every(isText))) {
+            errors.push(`${label}: תגיות צריכות להיות רשימה`);
+        }
+    });
+
+    if (errors.length === 0 && items.length < 2) {
+        errors.push('צריך לפחות 2 ערכים כדי לשחק');
+    }
+    return errors;
+}
+
+/**
+ * Build a topic pack to download
+ * @param {Array} topics - Topics to share ({ name, description, data })
+ * @returns {Object} Topic pack
+ */
+export function createTopicPack(topics) {
+    return {
+        format: PACK_FORMAT,
+        version: PACK_VERSION,
+        exportedAt: new Date().toISOString(),
+        topics: topics.map(({ name, description = '', data }) => ({ name, description, data }))
+    };
+}
+
+/**
+ * A name not used yet: "name (2)", "name (3)"...
+ * @param {string} name - Wanted name
+ * @param {string[]} takenNames - Names already used
+ * @returns {string}
+ */
+export function getFreeTopicName(name, takenNames) {
+    let candidate = name;
+    for (let copy = 2; takenNames.includes(candidate); copy++) {
+        candidate = `${name} (${copy})`;
+    }
+    return candidate;
+}
+
+/**
+ * Read a topic pack before importing it
+ * Every topic is validated and compared with the names already listed
+ * @param {Object} pack - Parsed pack file
+ * @param {Object} names - Names already listed
+ * @param {string[]} names.custom - Names of saved custom topics
+ * @param {string[]} names.other - Names of the other topics (data files, decks)
+ * @returns {Object} { errors, topics } - errors of the pack itself; each topic is
+ *                   { name, description, data, errors, conflict } with conflict null,
+ *                   'custom' (a saved topic would be replaced) or 'other'
+ */
+export function readTopicPack(pack, names = {}) {
+    const { custom = [], other = [] } = names;
+
+    if (!pack || pack.format !== PACK_FORMAT || !Array.isArray(pack.topics)) {
+        return { errors: ['הקובץ אינו חבילת נושאים'], topics: [] };
+    }
+    if (pack.version > PACK_VERSION) {
+        return { errors: ['החבילה נוצרה בגרסה חדשה יותר של המשחק'], topics: [] };
+    }
+
+    const topics = pack.topics.map((topic, index) => {
+        const name = topic && typeof topic.name === 'string' ? topic.name.trim() : '';
+        const errors = name ? [] : [`לנושא ${index + 1} אין שם`];
+        errors.push(...validateTopicData(topic && topic.data));
+
+        let conflict = null;
+        if (custom.includes(name)) {
+            conflict = 'custom';
+        } else if (other.includes(name)) {
+            conflict = 'other';
+        }
+
+        return {
+            name: name || `נושא ${index + 1}`,
+            description: topic && typeof topic.description === 'string' ? topic.description : '',
+            data: topic ? topic.data : null,
+            errors,
+            conflict
+        };
+    });
+
+    return { errors: topics.length === 0 ? ['החבילה ריקה'] : [], topics };
+}
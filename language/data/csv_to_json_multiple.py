@@ -3,6 +3,8 @@
 CSV to JSON converter for files containing 2 or more alternatives in each line.
 This script reads a CSV file where each row can contain any number of values (2 or more)
 and converts it to a JSON format with all alternatives grouped together.
+Rows may also carry annotation cells (hint=, explanation=, example=, tags=),
+see entry_annotations.py.
 """
 
 import csv
@@ -10,6 +12,8 @@ import json
 import sys
 import os
 
+from entry_annotations import split_annotations
+
 
 def csv_to_json_multiple(csv_file_path, json_file_path=None, min_alternatives=2):
     """
@@ -55,13 +59,15 @@ def csv_to_json_multiple(csv_file_path, json_file_path=None, min_alternatives=2)
 
                 # Clean up whitespace from each element
                 row = [item.strip() for item in row if item.strip()]
+                row, annotations = split_annotations(row)
 
                 # Check if the row has at least the minimum required alternatives
                 if len(row) >= min_alternatives:
                     synonym_entry = {
                         "id": row_num,
                         "alternatives_count": len(row),
-                        "alternatives": row
+                        "alternatives": row,
+                        **annotations
                     }
                     synonyms_data.append(synonym_entry)
 
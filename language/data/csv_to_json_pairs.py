@@ -3,6 +3,8 @@
 CSV to JSON converter for files containing exactly pairs (2 columns).
 This script reads a CSV file where each row contains exactly 2 values
 and converts it to a JSON format.
+Rows may also carry annotation cells (hint=, explanation=, example=, tags=),
+see entry_annotations.py.
 """
 
 import csv
@@ -10,6 +12,8 @@ import json
 import sys
 import os
 
+from entry_annotations import split_annotations
+
 
 def csv_to_json_pairs(csv_file_path, json_file_path=None):
     """
@@ -48,13 +52,15 @@ def csv_to_json_pairs(csv_file_path, json_file_path=None):
 
                 # Clean up whitespace from each element
                 row = [item.strip() for item in row if item.strip()]
+                terms, annotations = split_annotations(row)
 
-                # Check if the row has exactly 2 elements
-                if len(row) == 2:
+                # Check if the row has exactly 2 terms
+                if len(terms) == 2:
                     pairs_data.append({
                         "id": row_num,
-                        "term1": row[0],
-                        "term2": row[1]
+                        "term1": terms[0],
+                        "term2": terms[1],
+                        **annotations
                     })
                 else:
                     invalid_rows.append({
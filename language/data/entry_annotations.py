@@ -0,0 +1,77 @@
+#!/usr/bin/env python3
+"""
+Entry annotations shared by the CSV to JSON converters.
+
+Besides its terms, a CSV row may carry annotation cells of the form key=value:
+    hint=...         (or רמז=...)      short hint shown on demand during the game
+    explanation=...  (or הסבר=...)     shown in the post-game review
+    example=...      (or דוגמה=...)    example sentence, shown in the review
+    tags=a|b         (or תגיות=a|b)    tags, separated by |
+
+A legacy marker written after a term, "(+)" or "(-)" as in "נעליים (+)", is taken
+off the term and kept as a tag, so it doesn't show on the card face. Other text in
+parentheses, e.g. "אב (אבא)", is part of the term.
+"""
+
+import re
+
+ANNOTATION_KEYS = {
+    "hint": "hint",
+    "רמז": "hint",
+    "explanation": "explanation",
+    "הסבר": "explanation",
+    "example": "example",
+    "דוגמה": "example",
+    "tags": "tags",
+    "תגיות": "tags",
+}
+
+ANNOTATION_CELL = re.compile(r"^\s*([^=\s]+)\s*=\s*(.*)$", re.DOTALL)
+TERM_MARKER = re.compile(r"^(.*\S)\s*\(([+-])\)$")
+
+
+def split_term_marker(term):
+    """
+    Split a legacy marker, "(+)" or "(-)", off a term.
+
+    Returns:
+        (term, marker) - marker is None when the term has no note
+    """
+    match = TERM_MARKER.match(term)
+    if not match:
+        return term, None
+    return match.group(1), match.group(2).strip()
+
+
+def split_annotations(row):
+    """
+    Separate the terms of a CSV row from its annotation cells.
+
+    Args:
+        row: List of stripped, non-empty cells
+
+    Returns:
+        (terms, annotations) - annotations only has the fields that were given
+    """
+    terms = []
+    annotations = {}
+    tags = []
+
+    for cell in row:
+        match = ANNOTATION_CELL.match(cell)
+        field = ANNOTATION_KEYS.get(match.group(1)) if match else None
+
+        if field == "tags":
+            tags.extend(tag.strip() for tag in match.group(2).split("|") if tag.strip())
+        elif field:
+            annotations[field] = match.group(2).strip()
+        else:
+            term, marker = split_term_marker(cell)
+            terms.append(term)
+            if marker and marker not in tags:
+                tags.append(marker)
+
+    if tags:
+        annotations["tags"] = tags
+
+    return terms, annotations
@@ -1,8 +1,15 @@
 #!/usr/bin/env python3
 """
 Script to generate a topic_index.json file from all JSON files in the current directory.
-The script reads all JSON files (except topic_index.json) and creates an index with
-file information and empty descriptions.
+The script reads all JSON files (except topic_index.json and topic_details.json) and
+creates an index with file information.
+
+Descriptions, categories and grades are written by hand in topic_details.json:
+    {
+      "הפכים.json": {"description": "...", "category": "אוצר מילים", "grade": "ב-ג"},
+      ...
+    }
+Files without details get empty fields.
 
 usage:
 cd <proper directory>
@@ -14,6 +21,28 @@ import os
 from datetime import datetime
 from pathlib import Path
 
+DETAILS_FILE = 'topic_details.json'
+DETAIL_FIELDS = ('description', 'category', 'grade')
+
+
+def load_topic_details(script_dir):
+    """
+    Load the hand-written details (description, category, grade) of the topics.
+
+    Returns:
+        Dictionary of filename -> details; empty when there is no details file
+    """
+    details_path = script_dir / DETAILS_FILE
+    if not details_path.exists():
+        return {}
+
+    try:
+        with open(details_path, 'r', encoding='utf-8') as f:
+            return json.load(f)
+    except (json.JSONDecodeError, IOError) as e:
+        print(f"Warning: Could not read {DETAILS_FILE}: {e}")
+        return {}
+
 
 def generate_topic_index():
     """
@@ -35,7 +64,8 @@ def generate_topic_index():
 
     # Find all JSON files in the current directory
     json_files = sorted([f for f in os.listdir(script_dir)
-                         if f.endswith('.json') and f != 'topic_index.json'])
+                         if f.endswith('.json') and f not in ('topic_index.json', DETAILS_FILE)])
+    topic_details = load_topic_details(script_dir)
 
     print(f"Found {len(json_files)} JSON files to index")
 
@@ -44,9 +74,10 @@ def generate_topic_index():
         file_path = script_dir / filename
 
         # Get file information
+        details = topic_details.get(filename, {})
         file_info = {
             "filename": filename,
-            "description": "",  # Empty description as requested
+            **{field: details.get(field, "") for field in DETAIL_FIELDS},
             "file_size_bytes": os.path.getsize(file_path),
             "last_modified": datetime.fromtimestamp(
                 os.path.getmtime(file_path)
@@ -100,6 +131,10 @@ def generate_topic_index():
     print(f"\nSuccessfully regenerated topic_index.json with {len(topic_files)} files")
     print(f"Output saved to: {output_path}")
 
+    # Details written for files that no longer exist
+    for filename in sorted(set(topic_details) - set(json_files)):
+        print(f"  Warning: {DETAILS_FILE} describes missing file {filename}")
+
     # Print summary
     print("\nSummary of indexed files:")
     for file_info in topic_files:
@@ -0,0 +1,143 @@
+/**
+ * Memory Game Deck Providers
+ * Sources of cards for MemoryGameEngine.init() other than a topic JSON file.
+ *
+ * A deck provider is an object:
+ *  - key   {string}   stable id; saves, best results and practice history are stored under it
+ *  - name  {string}   topic name shown in the game title
+ *  - description, category {string} (optional) shown in the topic browser
+ *  - totalEntries {number} (optional) size of the deck, when known without loading it
+ *  - sharedWords {boolean} (optional) entries are expected to share words (2×6 and 3×4
+ *                     both match "12"); the engine then doesn't warn about them
+ *  - load  {Function} returns (or resolves to) data in one of the topic file formats:
+ *                     { pairs: [{ id, term1, term2 }] } or { entries: [{ id, alternatives }] }
+ *
+ * Generated decks list every fact they can make; the engine picks and schedules the
+ * ones dealt, like it does for a data file.
+ */
+
+const ANALOGIES_URL = new URL('./analogy_data/analogies.json', import.meta.url).href;
+
+const ROUNDING_NAMES = {
+    10: 'עשרות',
+    100: 'מאות',
+    1000: 'אלפים'
+};
+
+/**
+ * Multiplication facts: "7×8" matches "56"
+ * Each fact appears once (7×8, not also 8×7)
+ * @param {Object} options - Configuration options
+ * @param {number} options.min - Smallest factor (default: 2)
+ * @param {number} options.max - Largest factor (default: 9)
+ * @returns {Object} Deck provider
+ */
+export function createMultiplicationDeck(options = {}) {
+    const { min = 2, max = 9 } = options;
+
+    return {
+        key: `multiplication:${min}-${max}`,
+        name: `לוח הכפל (${min}-${max})`,
+        description: 'תרגיל כפל והתוצאה שלו',
+        category: 'חשבון',
+        sharedWords: true,
+        load() {
+            const pairs = [];
+            for (let a = min; a <= max; a++) {
+                for (let b = a; b <= max; b++) {
+                    pairs.push({ id: `${a}×${b}`, term1: `${a}×${b}`, term2: String(a * b) });
+                }
+            }
+            return { pairs };
+        }
+    };
+}
+
+/**
+ * Rounding facts: "347" matches "350"
+ * Every round number in the range gets one random number that rounds to it,
+ * so no two cards on the board round to the same answer
+ * @param {Object} options - Configuration options
+ * @param {number} options.to - Round to the nearest 10, 100 or 1000 (default: 10)
+ * @param {number} options.min - Smallest number to round (default: 100)
+ * @param {number} options.max - Largest number to round (default: 999)
+ * @returns {Object} Deck provider
+ */
+export function createRoundingDeck(options = {}) {
+    const { to = 10, min = 100, max = 999 } = options;
+
+    return {
+        key: `rounding:${to}:${min}-${max}`,
+        name: `עיגול ל${ROUNDING_NAMES[to] || to}`,
+        description: `מספר והמספר העגול הקרוב אליו (ל${ROUNDING_NAMES[to] || to})`,
+        category: 'חשבון',
+        load() {
+            const pairs = [];
+            const half = to / 2;
+
+            for (let target = Math.floor(min / to) * to; target <= Math.ceil(max / to) * to; target += to) {
+                // Numbers that round (half up) to the target, without the target itself
+                const low = Math.max(min, target - half);
+                const high = Math.min(max, target + half - 1);
+                const candidates = [];
+                for (let number = low; number <= high; number++) {
+                    if (number !== target) candidates.push(number);
+                }
+                if (candidates.length === 0) continue;
+
+                const number = candidates[Math.floor(Math.random() * candidates.length)];
+                pairs.push({ id: `${to}:${target}`, term1: String(number), term2: String(target) });
+            }
+            return { pairs };
+        }
+    };
+}
+
+/**
+ * Analogy pairs from analogy_chase's data: "סולם" matches "מדרגות"
+ * @param {Object} options - Configuration options
+ * @param {string} options.url - Analogy data file (default: analogy_data/analogies.json)
+ * @param {string[]} options.categories - Only these relation categories (default: all)
+ * @returns {Object} Deck provider
+ */
+export function createAnalogyDeck(options = {}) {
+    const { url = ANALOGIES_URL, categories = null } = options;
+
+    return {
+        key: categories ? `analogies:${categories.join('|')}` : 'analogies',
+        name: 'צמדי אנלוגיות',
+        description: 'צמדי מילים מתוך משחק האנלוגיות',
+        category: 'אוצר מילים',
+        sharedWords: true,
+        async load() {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to load data from ${url}`);
+            }
+
+            const data = await response.json();
+            const pairs = [];
+            data
+                .filter(category => !categories || categories.includes(category.relationCategory))
+                .forEach(category => {
+                    category.pairs.forEach(({ itemA, itemB }) => {
+                        pairs.push({ id: `${category.relationCategory}:${itemA}|${itemB}`, term1: itemA, term2: itemB });
+                    });
+                });
+            return { pairs };
+        }
+    };
+}
+
+/**
+ * The generated decks offered next to the topic files
+ * @returns {Array} Deck providers
+ */
+export function getBuiltInDecks() {
+    return [
+        createMultiplicationDeck(),
+        createRoundingDeck({ to: 10 }),
+        createRoundingDeck({ to: 100, min: 1000, max: 9999 }),
+        createAnalogyDeck()
+    ];
+}
@@ -0,0 +1,144 @@
+/**
+ * Entry Annotations
+ * Per-entry notes of the topic data: hint, explanation, example sentence and tags.
+ * Mirrors data/entry_annotations.py, so topic files that weren't regenerated
+ * (and terms still written as "נעליים (+)") are read the same way.
+ */
+
+const NOTE_FIELDS = ['hint', 'explanation', 'example'];
+
+// Annotation cell names of the CSV files (English or Hebrew)
+const ANNOTATION_KEYS = {
+    hint: 'hint',
+    'רמז': 'hint',
+    explanation: 'explanation',
+    'הסבר': 'explanation',
+    example: 'example',
+    'דוגמה': 'example',
+    tags: 'tags',
+    'תגיות': 'tags'
+};
+
+const ANNOTATION_CELL = /^\s*([^=\s]+)\s*=\s*([\s\S]*)$/;
+
+// Legacy markers written after a term, as in "נעליים (+)"; other text in
+// parentheses, e.g. "אב (אבא)", is part of the term
+const TERM_MARKERS = ['+', '-'];
+const TERM_MARKER = /^(.*\S)\s*\(([+-])\)$/;
+
+/**
+ * Split a legacy marker off a term
+ * @param {string} term - Term, e.g. "נעליים (+)"
+ * @returns {Object} { word, marker } - marker is null when the term has no marker
+ */
+export function splitTermMarker(term) {
+    const match = String(term).match(TERM_MARKER);
+    if (!match) {
+        return { word: term, marker: null };
+    }
+    return { word: match[1], marker: match[2].trim() };
+}
+
+/**
+ * Separate the terms of a CSV row from its annotation cells (key=value)
+ * Same rules as split_annotations() in data/entry_annotations.py
+ * @param {string[]} row - Trimmed, non-empty cells
+ * @returns {Object} { terms, annotations } - annotations only has the fields that were given
+ */
+export function splitAnnotations(row) {
+    const terms = [];
+    const annotations = {};
+    const tags = [];
+
+    row.forEach(cell => {
+        const match = cell.match(ANNOTATION_CELL);
+        const field = match && Object.hasOwn(ANNOTATION_KEYS, match[1]) ? ANNOTATION_KEYS[match[1]] : null;
+
+        if (field === 'tags') {
+            match[2].split('|').map(tag => tag.trim()).filter(Boolean).forEach(tag => tags.push(tag));
+        } else if (field) {
+            annotations[field] = match[2].trim();
+        } else {
+            const { word, marker } = splitTermMarker(cell);
+            terms.push(word);
+            if (marker && !tags.includes(marker)) {
+                tags.push(marker);
+            }
+        }
+    });
+
+    if (tags.length > 0) {
+        annotations.tags = tags;
+    }
+
+    return { terms, annotations };
+}
+
+/**
+ * Read the words and notes of a pair or entry
+ * Legacy markers are taken off the words and kept as tags
+ * @param {string[]} terms - Terms of the entry (term1/term2, or its alternatives)
+ * @param {Object} fields - The pair/entry object, with optional hint, explanation, example, tags
+ * @returns {Object} { words, notes } - notes only has the fields that are set
+ */
+export function parseAnnotatedEntry(terms, fields = {}) {
+    const tags = Array.isArray(fields.tags) ? fields.tags.map(String) : [];
+
+    const words = terms.map(term => {
+        const { word, marker } = splitTermMarker(term);
+        if (marker && !tags.includes(marker)) {
+            tags.push(marker);
+        }
+        return word;
+    });
+
+    const notes = {};
+    NOTE_FIELDS.forEach(field => {
+        if (fields[field]) {
+            notes[field] = String(fields[field]);
+        }
+    });
+    if (tags.length > 0) {
+        notes.tags = tags;
+    }
+
+    return { words, notes };
+}
+
+/**
+ * Marker of an entry, kept in its tags by parseAnnotatedEntry()
+ * @param {Object} notes - Notes of the entry
+ * @returns {string|null}
+ */
+function getEntryMarker(notes = {}) {
+    return (notes.tags || []).find(tag => TERM_MARKERS.includes(tag)) || null;
+}
+
+/**
+ * Put the marker back on words that only the marker tells apart
+ * "חולצה (+)" (ללבוש) and "חולצה (-)" (לפשוט) would otherwise both be dealt
+ * as "חולצה"; words shared by entries with different markers keep them.
+ * @param {Array} entries - Entries ({ key, words, notes }) from parseAnnotatedEntry()
+ * @returns {Array} The entries, with marked words where needed
+ */
+export function keepDistinguishingMarkers(entries) {
+    const markersByWord = {};
+    entries.forEach(({ words, notes }) => {
+        const marker = getEntryMarker(notes);
+        new Set(words).forEach(word => {
+            if (!markersByWord[word]) {
+                markersByWord[word] = new Set();
+            }
+            markersByWord[word].add(marker);
+        });
+    });
+
+    return entries.map(entry => {
+        const marker = getEntryMarker(entry.notes);
+        if (!marker || !entry.words.some(word => markersByWord[word].size > 1)) {
+            return entry;
+        }
+        const words = entry.words.map(word => markersByWord[word].size > 1 ? `${word} (${marker})` : word);
+        return { ...entry, words };
+    });
+}
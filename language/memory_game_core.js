@@ -0,0 +1,389 @@
+/**
+ * Memory Game Core
+ * Headless state machine for the memory game: deal, flip, match, mismatch, win.
+ * Knows nothing about the DOM - renderers listen to its events and call its actions.
+ * Cards are dealt in groups (usually pairs, or triples/quads of synonyms). A group
+ * scores once all of its cards are open; opening a card of another group is a mismatch.
+ * Cards match by the group they were dealt from, not by their text, so a word that
+ * appears in two groups can never be matched with the wrong partner.
+ *
+ * Events (listener receives a payload object):
+ *  - deal     { cards }                          board was dealt (or restored from a snapshot)
+ *  - flip     { card }                           a card was turned face up
+ *  - match    { cards, groupKey, flips, player } all cards of a group are open
+ *  - mismatch { cards }                          the open cards belong to different groups (board
+ *                                                stays locked until resolveMismatch() is called)
+ *  - unflip   { cards }                          mismatched cards were turned face down again
+ *  - turn     { player, playerIndex }            the turn passed to another player
+ *  - win      { leaders }                        all groups were found
+ *  - end      { reason }                         the game was ended early (e.g. time is up)
+ */
+
+import { shuffleArray } from '../common/utils/array.js';
+
+const MAX_PLAYERS = 4;
+
+export class MemoryGameCore {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {Function} options.shuffle - Shuffles an array in place (default: shuffleArray)
+     */
+    constructor(options = {}) {
+        const { shuffle = shuffleArray } = options;
+
+        this.shuffle = shuffle;
+        this.listeners = {};
+        this.players = []; // Hot-seat players ({ name, score }); empty for a single player
+        this.reset();
+    }
+
+    /**
+     * Reset all per-game state (players are kept, their scores are zeroed)
+     */
+    reset() {
+        this.cards = [];
+        this.openCards = [];
+        this.locked = false;
+        this.isGameOver = false;
+        this.groupsFound = 0;
+        this.totalGroups = 0;
+        this.groupSize = 2; // Cards per group (largest group on the board)
+        this.flips = 0;
+        this.groups = []; // group index -> words of the group, in dealt order
+        this.groupSizes = []; // group index -> number of cards in the group
+        this.groupKeys = []; // group index -> key of the entry it was dealt from
+        this.groupFlips = {}; // entry key -> flips made on its cards this game
+        this.currentPlayerIndex = 0;
+        this.players.forEach(player => {
+            player.score = 0;
+        });
+    }
+
+    /**
+     * Subscribe to a core event
+     * @param {string} event - Event name
+     * @param {Function} listener - Callback receiving the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, listener) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+
+        return () => {
+            const index = this.listeners[event].indexOf(listener);
+            if (index > -1) {
+                this.listeners[event].splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Notify the listeners of an event
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     */
+    emit(event, payload = {}) {
+        (this.listeners[event] || []).forEach(listener => {
+            listener(payload);
+        });
+    }
+
+    /**
+     * Set the players for hot-seat mode
+     * @param {string[]} names - Player names; fewer than 2 names means a single player
+     * @returns {Array} The players that will take turns
+     */
+    setPlayers(names = []) {
+        const validNames = names
+            .map(name => (name || '').trim())
+            .slice(0, MAX_PLAYERS);
+
+        if (validNames.length < 2) {
+            this.players = [];
+        } else {
+            this.players = validNames.map((name, index) => ({
+                name: name || `שחקן ${index + 1}`,
+                score: 0
+            }));
+        }
+
+        this.currentPlayerIndex = 0;
+        return this.players;
+    }
+
+    /**
+     * Whether more than one player is taking turns
+     * @returns {boolean}
+     */
+    isMultiplayer() {
+        return this.players.length > 1;
+    }
+
+    /**
+     * The player whose turn it is
+     * @returns {Object|null} Player, or null for a single player
+     */
+    getCurrentPlayer() {
+        return this.isMultiplayer() ? this.players[this.currentPlayerIndex] : null;
+    }
+
+    /**
+     * Pass the turn to the next player
+     */
+    nextPlayer() {
+        if (!this.isMultiplayer()) return;
+        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+    }
+
+    /**
+     * Get the players with the highest score
+     * @returns {Array} One player for a win, several for a tie
+     */
+    getLeaders() {
+        const bestScore = Math.max(...this.players.map(player => player.score));
+        return this.players.filter(player => player.score === bestScore);
+    }
+
+    /**
+     * Deal a new board
+     * @param {Array} gameGroups - Array of word groups ([word1, word2, ...]); pairs for the classic game
+     * @param {Array} groupKeys - Optional entry key of each group, reported with match events
+     * @returns {Array} The dealt cards ({ id, word, groupIndex, state }) in board order
+     */
+    deal(gameGroups, groupKeys = []) {
+        this.reset();
+        this.groupKeys = [...groupKeys];
+        this.groups = gameGroups.map(group => [...group]);
+        this.groupSizes = gameGroups.map(group => group.length);
+        this.groupSize = Math.max(2, ...this.groupSizes);
+
+        const faces = [];
+        gameGroups.forEach((group, groupIndex) => {
+            group.forEach(word => faces.push({ word, groupIndex }));
+        });
+
+        this.shuffle(faces);
+
+        this.cards = faces.map(({ word, groupIndex }, id) => ({ id, word, groupIndex, state: 'hidden' }));
+        this.totalGroups = gameGroups.length;
+
+        this.emit('deal', { cards: this.cards });
+        return this.cards;
+    }
+
+    /**
+     * Serializable copy of the game, for saving it between visits
+     * Cards that are open but not matched are saved face down
+     * @returns {Object} Snapshot accepted by restore()
+     */
+    getSnapshot() {
+        return {
+            cards: this.cards.map(({ id, word, groupIndex, state }) => ({
+                id,
+                word,
+                groupIndex,
+                state: state === 'matched' ? 'matched' : 'hidden'
+            })),
+            groups: this.groups.map(group => [...group]),
+            groupSizes: [...this.groupSizes],
+            groupKeys: [...this.groupKeys],
+            groupsFound: this.groupsFound,
+            flips: this.flips,
+            groupFlips: { ...this.groupFlips },
+            players: this.players.map(player => ({ ...player })),
+            currentPlayerIndex: this.currentPlayerIndex
+        };
+    }
+
+    /**
+     * Continue a game from a snapshot
+     * @param {Object} snapshot - Snapshot from getSnapshot()
+     * @returns {Array} The restored cards in board order
+     */
+    restore(snapshot) {
+        this.reset();
+
+        this.cards = snapshot.cards.map(card => ({ ...card }));
+        this.groups = snapshot.groups.map(group => [...group]);
+        this.groupSizes = [...snapshot.groupSizes];
+        this.groupKeys = [...snapshot.groupKeys];
+        this.groupSize = Math.max(2, ...this.groupSizes);
+        this.totalGroups = this.groupSizes.length;
+        this.groupsFound = snapshot.groupsFound;
+        this.flips = snapshot.flips;
+        this.groupFlips = { ...snapshot.groupFlips };
+        this.players = snapshot.players.map(player => ({ ...player }));
+        this.currentPlayerIndex = snapshot.currentPlayerIndex;
+
+        this.emit('deal', { cards: this.cards });
+        return this.cards;
+    }
+
+    /**
+     * Get a card by id
+     * @param {number} cardId - Card id
+     * @returns {Object|undefined} Card
+     */
+    getCard(cardId) {
+        return this.cards.find(card => card.id === cardId);
+    }
+
+    /**
+     * Check whether a card can be flipped right now
+     * @param {number} cardId - Card id
+     * @returns {boolean}
+     */
+    canFlip(cardId) {
+        const card = this.getCard(cardId);
+        return Boolean(card) && !this.isGameOver && !this.locked && card.state === 'hidden';
+    }
+
+    /**
+     * Turn a card face up; every open card after the first is checked for a match
+     * @param {number} cardId - Card id
+     * @returns {boolean} Whether the card was flipped
+     */
+    flip(cardId) {
+        if (!this.canFlip(cardId)) {
+            return false;
+        }
+
+        const card = this.getCard(cardId);
+        card.state = 'flipped';
+        this.flips++;
+        this.openCards.push(card);
+        this.emit('flip', { card });
+
+        if (this.openCards.length > 1) {
+            this.checkForMatch();
+        }
+
+        return true;
+    }
+
+    /**
+     * Check the card opened last against the group of the first open card
+     * The cards stay open until the whole group is found or a card doesn't belong
+     */
+    checkForMatch() {
+        const first = this.openCards[0];
+        const last = this.openCards[this.openCards.length - 1];
+
+        if (last.groupIndex !== first.groupIndex) {
+            this.locked = true;
+            this.handleMismatch();
+        } else if (this.openCards.length === this.groupSizes[first.groupIndex]) {
+            this.handleMatch();
+        }
+    }
+
+    /**
+     * Handle a completed group: score and check for a win
+     * The current player keeps the turn after a match
+     */
+    handleMatch() {
+        const cards = this.openCards;
+        cards.forEach(card => {
+            card.state = 'matched';
+        });
+
+        const flips = this.countFlips(cards[0], cards.length);
+        const player = this.getCurrentPlayer();
+
+        this.groupsFound++;
+        if (player) {
+            player.score++;
+        }
+
+        this.openCards = [];
+        this.locked = false;
+
+        this.emit('match', { cards, groupKey: this.groupKeys[cards[0].groupIndex], flips, player });
+
+        if (this.groupsFound === this.totalGroups) {
+            this.isGameOver = true;
+            this.emit('win', { leaders: this.isMultiplayer() ? this.getLeaders() : [] });
+        }
+    }
+
+    /**
+     * Handle open cards from different groups
+     * The board stays locked until resolveMismatch() turns them back
+     */
+    handleMismatch() {
+        // Each card counts as one flip towards its own entry
+        this.openCards.forEach(card => this.countFlips(card, 1));
+        this.emit('mismatch', { cards: [...this.openCards] });
+    }
+
+    /**
+     * Turn mismatched cards face down again and pass the turn
+     */
+    resolveMismatch() {
+        if (!this.locked || this.openCards.length < 2) return;
+
+        const cards = this.openCards;
+        cards.forEach(card => {
+            card.state = 'hidden';
+        });
+        this.openCards = [];
+        this.locked = this.isGameOver;
+        this.emit('unflip', { cards });
+
+        if (!this.isGameOver && this.isMultiplayer()) {
+            this.nextPlayer();
+            this.emit('turn', { player: this.getCurrentPlayer(), playerIndex: this.currentPlayerIndex });
+        }
+    }
+
+    /**
+     * End the game before all groups were found
+     * @param {string} reason - Why the game ended (e.g. 'timeout')
+     */
+    end(reason = 'ended') {
+        if (this.isGameOver) return;
+
+        this.isGameOver = true;
+        this.locked = true;
+        this.emit('end', { reason });
+    }
+
+    /**
+     * How every group on the board went, for an end-of-game review
+     * @returns {Array} One result per group ({ groupIndex, key, words, found, flips })
+     */
+    getGroupResults() {
+        return this.groups.map((words, groupIndex) => ({
+            groupIndex,
+            key: this.groupKeys[groupIndex],
+            words: [...words],
+            found: this.cards
+                .filter(card => card.groupIndex === groupIndex)
+                .every(card => card.state === 'matched'),
+            flips: this.groupFlips[this.getFlipsKey(groupIndex)] || 0
+        }));
+    }
+
+    /**
+     * Key under which the flips of a group are counted
+     * @param {number} groupIndex - Group index
+     * @returns {string} Entry key, or a key made from the group index
+     */
+    getFlipsKey(groupIndex) {
+        return this.groupKeys[groupIndex] ?? `group-${groupIndex}`;
+    }
+
+    /**
+     * Count flips on the entry a card belongs to
+     * @param {Object} card - Card
+     * @param {number} flips - Number of flips to add
+     * @returns {number} Total flips on that entry this game
+     */
+    countFlips(card, flips) {
+        const key = this.getFlipsKey(card.groupIndex);
+        this.groupFlips[key] = (this.groupFlips[key] || 0) + flips;
+        return this.groupFlips[key];
+    }
+}
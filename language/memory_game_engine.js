@@ -1,16 +1,34 @@
 /**
  * Memory Game Engine
- * Handles the entire memory game logic for both pairs and multiple synonyms data formats
+ * DOM renderer for the memory game: loads topic data, draws the board and
+ * forwards clicks to the headless MemoryGameCore (memory_game_core.js),
+ * which owns the matching rules. Handles both pairs and multiple synonyms data formats.
+ * Each MemoryGameEngine instance is an independent board; window.MemoryGame is the
+ * page's default board.
  */
 
 // Import from common library
 import { shuffleArray } from '../common/utils/array.js';
+import { MemoryGameCore } from './memory_game_core.js';
+import { LeitnerScheduler } from '../common/game/spaced_repetition.js';
+import { GameState, ScoreManager } from '../common/game/state.js';
+import { createModal } from '../common/ui/modal.js';
+import { createCircularTimer, createTimerSVG } from '../common/timer/countdown_timer.js';
+import { createSpeaker, createSpeechControls } from '../common/audio/speech.js';
+import { createSoundToggle } from '../common/audio/sound_settings.js';
+import * as deckProviders from './deck_providers.js';
+import * as customTopics from './custom_topics.js';
+import { parseAnnotatedEntry, keepDistinguishingMarkers } from './entry_annotations.js';
+import { isImageTerm, getImageUrl, getTermLabel, createTermElement } from './card_faces.js';
+import { preloadResources } from '../common/data/loader.js';
 
 // Audio functions will be loaded dynamically to avoid module loading issues
 let audioFunctions = {
     initAudio: () => console.log('Audio not loaded'),
     playSuccessSound: () => console.log('Audio not loaded'),
-    playVictorySound: () => console.log('Audio not loaded')
+    playVictorySound: () => console.log('Audio not loaded'),
+    playGameOverSound: () => console.log('Audio not loaded'),
+    playSound: () => console.log('Audio not loaded')
 };
 
 // Load audio module dynamically
@@ -18,7 +36,9 @@ import('../common/audio/sounds.js').then(module => {
     audioFunctions = {
         initAudio: module.initAudio,
         playSuccessSound: module.playSuccessSound,
-        playVictorySound: module.playVictorySound
+        playVictorySound: module.playVictorySound,
+        playGameOverSound: module.playGameOverSound,
+        playSound: module.playSound
     };
     console.log('Audio module loaded successfully');
 }).catch(error => {
@@ -26,59 +46,489 @@ import('../common/audio/sounds.js').then(module => {
     // Keep default no-op functions
 });
 
-const MemoryGame = {
-    // Game state variables
-    gameData: null,
-    firstCard: null,
-    secondCard: null,
-    lockBoard: false,
-    pairsFound: 0,
-    totalPairs: 10, // We'll use 10 pairs (20 cards) for the game
-    synonymPairs: {},
-    unflipTimeoutId: null,
-    resetColorTimeoutId: null,
-    audioContext: null,
-    gameContainer: null,
-    currentFilePath: null,
+/**
+ * Difficulty presets
+ * totalPairs - how many pairs are dealt to the board
+ * mismatchDelay - how long (ms) mismatched cards stay open before flipping back
+ */
+const DIFFICULTY_LEVELS = {
+    easy: { label: 'קל', totalPairs: 6, mismatchDelay: 2000 },
+    medium: { label: 'בינוני', totalPairs: 10, mismatchDelay: 1200 },
+    hard: { label: 'קשה', totalPairs: 15, mismatchDelay: 1000 },
+    expert: { label: 'מומחה', totalPairs: 20, mismatchDelay: 800 }
+};
+
+/**
+ * Game modes
+ * classic - play at your own pace
+ * timed - find all pairs before the countdown ends (secondsPerPair per dealt pair)
+ * moves - no clock, finish with as few card flips as possible
+ */
+const GAME_MODES = {
+    classic: { label: 'רגיל' },
+    timed: { label: 'נגד השעון', secondsPerPair: 8, minSeconds: 30 },
+    moves: { label: 'מינימום היפוכים' }
+};
+
+/**
+ * Group sizes: how many cards of one entry must be flipped to score
+ * Groups larger than a pair need entries with enough alternatives
+ * (see csv_to_json_multiple.py); smaller entries are skipped
+ */
+const GROUP_SIZES = {
+    2: { label: 'זוגות' },
+    3: { label: 'שלישיות' },
+    4: { label: 'רביעיות' }
+};
+
+/**
+ * Star rating for "moves" mode: most flips per pair that still earn each rating
+ * (matching every pair on its first try takes 2 flips per pair)
+ */
+const STAR_THRESHOLDS = [
+    { stars: 3, maxFlipsPerPair: 3.5 },
+    { stars: 2, maxFlipsPerPair: 5 }
+];
+
+const DEFAULT_DIFFICULTY = 'medium';
+const BEST_RESULT_STORAGE_KEY = 'memoryGameBest';
+const MAX_GRID_COLUMNS = 8;
+const STYLESHEET_URL = new URL('./memory_game.css', import.meta.url).href;
+
+// Practice history is shared by every board on the page
+const sharedScheduler = new LeitnerScheduler({ storageKey: 'memoryGameHistory' });
+
+/**
+ * One memory game board
+ * Every instance renders into its own root element and keeps its own state
+ * and timeouts, so several boards can share a page.
+ */
+export class MemoryGameEngine {
+    /**
+     * @param {HTMLElement} root - Element the game board is rendered into (default: document.body)
+     * @param {Object} options - Configuration options
+     * @param {string} options.topicContainerId - Id of the page's topic selection, hidden while
+     *                                            playing; without it the "change topic" button is hidden
+     * @param {LeitnerScheduler} options.scheduler - Practice history (default: shared by all boards)
+     * @param {string} options.saveStorageKey - localStorage key prefix of unfinished games
+     *                                          (default: 'memoryGameSave'; one save per topic)
+     * @param {Object} options.speaker - Reads flipped cards aloud (default: a speaker from
+     *                                   createSpeaker() with its settings saved under 'memoryGameSpeech')
+     */
+    constructor(root = document.body, options = {}) {
+        const {
+            topicContainerId = null,
+            scheduler = sharedScheduler,
+            saveStorageKey = 'memoryGameSave',
+            speaker = createSpeaker({ storageKey: 'memoryGameSpeech' })
+        } = options;
+
+        this.root = root;
+        this.topicContainerId = topicContainerId;
+        this.saveStorageKey = saveStorageKey;
+        this.speaker = speaker;
+
+        // Game rules and state live in the headless core
+        this.core = new MemoryGameCore();
+
+        // Renderer state variables
+        this.difficultyLevels = DIFFICULTY_LEVELS;
+        this.difficulty = DEFAULT_DIFFICULTY;
+        this.settings = { ...DIFFICULTY_LEVELS[DEFAULT_DIFFICULTY] };
+        this.groupSizes = GROUP_SIZES;
+        this.groupSize = 2;
+        this.groupKeys = []; // group index -> key of the entry it was dealt from
+        this.groupAlternatives = []; // group index -> all words of that entry
+        this.groupNotes = []; // group index -> notes of that entry ({ hint, explanation, example, tags })
+        this.scheduler = scheduler;
+        this.gameModes = GAME_MODES;
+        this.mode = 'classic';
+        this.gameTimer = null;
+        this.cardElements = []; // card id -> card element
+        this.gridColumns = 1;
+        this.unflipTimeoutId = null;
+        this.winTimeoutId = null;
+        this.gameContainer = null;
+        this.soundToggle = null;
+        this.speechControls = null;
+        this.currentFilePath = null;
+        this.currentDeck = null; // Deck provider being played, when not playing a data file
+        this.topicName = '';
+
+        // Save the time left when the page is hidden or closed between moves
+        this.handlePageLeave = () => {
+            if (this.core.cards.length > 0) {
+                this.saveGame();
+            }
+        };
+
+        this.bindCoreEvents();
+    }
+
+    /**
+     * Find an element inside this board
+     * @param {string} selector - CSS selector
+     * @returns {HTMLElement|null}
+     */
+    find(selector) {
+        return this.gameContainer ? this.gameContainer.querySelector(selector) : null;
+    }
+
+    /**
+     * The page's topic selection container, if this board has one
+     * @returns {HTMLElement|null}
+     */
+    getTopicContainer() {
+        return this.topicContainerId ? document.getElementById(this.topicContainerId) : null;
+    }
+
+    /**
+     * Connect the renderer to the core events
+     * Called once from the constructor
+     */
+    bindCoreEvents() {
+        this.core.on('flip', event => this.handleFlip(event));
+        this.core.on('match', event => this.handleMatch(event));
+        this.core.on('mismatch', event => this.handleMismatch(event));
+        this.core.on('unflip', event => this.handleUnflip(event));
+        this.core.on('turn', () => this.handleTurn());
+        this.core.on('win', () => this.handleWin());
+    }
 
     /**
-     * Initialize the game with data from a JSON file
-     * @param {string} filePath - Path to the JSON data file
+     * Initialize the game with data from a JSON file or a deck provider
+     * An unfinished game of the same topic is offered before a new board is dealt
+     * @param {string|Object} source - Path to the JSON data file, or a deck provider
+     *                                 ({ key, name, load }, see deck_providers.js)
      */
-    async init(filePath) {
-        this.currentFilePath = filePath;
+    async init(source) {
+        this.currentFilePath = typeof source === 'string' ? source : null;
+        this.currentDeck = typeof source === 'string' ? null : source;
 
         // Initialize audio on user interaction
         audioFunctions.initAudio();
 
-        try {
-            // Load the JSON data
-            const response = await fetch(filePath);
-            if (!response.ok) {
-                throw new Error(`Failed to load data from ${filePath}`);
+        const savedGame = this.loadSavedGame();
+        if (savedGame) {
+            if (await this.confirmResume(savedGame)) {
+                try {
+                    await this.preloadCardImages(savedGame.snapshot.groups);
+                    this.resumeGame(savedGame);
+                    return;
+                } catch (error) {
+                    // Deal a new board instead
+                    console.error('Error resuming saved game:', error);
+                }
             }
+            this.clearSavedGame();
+        }
 
-            const jsonData = await response.json();
-
-            // Extract topic name from file path
-            const fileName = filePath.split('/').pop().replace('.json', '');
-            const topicName = this.formatTopicName(fileName);
+        try {
+            const { jsonData, topicName } = await this.loadDeckData(source);
 
             // Process the data based on its format
-            const gamePairs = this.prepareGameData(jsonData);
+            const gameGroups = this.prepareGameData(jsonData);
 
-            if (gamePairs.length === 0) {
+            if (gameGroups.length === 0) {
                 throw new Error('No valid data found in the file');
             }
 
+            // Picture cards are loaded before the board is dealt
+            await this.preloadCardImages(gameGroups);
+
             // Setup the game board with topic name
-            this.setupGameBoard(gamePairs, topicName);
+            this.setupGameBoard(gameGroups, topicName);
 
         } catch (error) {
             console.error('Error initializing game:', error);
             this.showError('שגיאה בטעינת המשחק. נסה שוב.');
         }
-    },
+    }
+
+    /**
+     * Load the cards of a topic file or a deck provider
+     * @param {string|Object} source - Path to a topic JSON file, or a deck provider
+     * @returns {Promise<Object>} { jsonData, topicName }
+     */
+    async loadDeckData(source) {
+        if (typeof source !== 'string') {
+            return { jsonData: await source.load(), topicName: source.name };
+        }
+
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Failed to load data from ${source}`);
+        }
+
+        // Extract topic name from file path
+        const fileName = source.split('/').pop().replace('.json', '');
+        return { jsonData: await response.json(), topicName: this.formatTopicName(fileName) };
+    }
+
+    /**
+     * URL that picture paths of a topic are relative to
+     * @param {string|null} filePath - Topic file (default: the current one)
+     * @returns {string} The topic file's URL, or the page's for deck providers
+     */
+    getAssetBaseUrl(filePath = this.currentFilePath) {
+        return filePath ? new URL(filePath, document.baseURI).href : document.baseURI;
+    }
+
+    /**
+     * Show a few random entries of a topic, for choosing it before playing
+     * @param {string|Object} source - Path to a topic JSON file, or a deck provider
+     * @param {number} count - Number of entries to show (default: 4)
+     * @returns {Promise<HTMLElement>} List of the sample entries
+     */
+    async createTopicPreview(source, count = 4) {
+        const { jsonData } = await this.loadDeckData(source);
+        const entries = this.shuffleArray(this.parseEntries(jsonData)).slice(0, count);
+        const baseUrl = this.getAssetBaseUrl(typeof source === 'string' ? source : null);
+
+        const list = document.createElement('ul');
+        list.className = 'topic-preview-list';
+        entries.forEach(({ words }) => {
+            const item = document.createElement('li');
+            words.forEach((word, index) => {
+                if (index > 0) {
+                    item.appendChild(document.createTextNode(' – '));
+                }
+                item.appendChild(createTermElement(word, baseUrl));
+            });
+            list.appendChild(item);
+        });
+        return list;
+    }
+
+    /**
+     * Load the pictures of picture cards so they show as soon as a card is flipped
+     * A picture that fails to load doesn't stop the game
+     * @param {Array} gameGroups - Array of word groups about to be dealt
+     */
+    async preloadCardImages(gameGroups) {
+        const urls = [...new Set(gameGroups.flat()
+            .filter(term => isImageTerm(term))
+            .map(term => getImageUrl(term, this.getAssetBaseUrl())))];
+        if (urls.length === 0) return;
+
+        try {
+            await preloadResources(urls);
+        } catch (error) {
+            console.error('Failed to preload card images:', error);
+        }
+    }
+
+    /**
+     * Set the difficulty used for the next game
+     * @param {string|Object} level - Preset key (see DIFFICULTY_LEVELS) or custom
+     *                                settings object { totalPairs, mismatchDelay }
+     * @returns {Object} The settings that will be used
+     */
+    setDifficulty(level) {
+        if (typeof level === 'string') {
+            if (!DIFFICULTY_LEVELS[level]) {
+                console.warn(`Unknown difficulty "${level}", using ${DEFAULT_DIFFICULTY}`);
+                level = DEFAULT_DIFFICULTY;
+            }
+            this.difficulty = level;
+            this.settings = { ...DIFFICULTY_LEVELS[level] };
+        } else if (level && typeof level === 'object') {
+            const base = DIFFICULTY_LEVELS[DEFAULT_DIFFICULTY];
+            this.difficulty = 'custom';
+            this.settings = {
+                label: level.label || 'מותאם אישית',
+                totalPairs: Math.max(2, parseInt(level.totalPairs, 10) || base.totalPairs),
+                mismatchDelay: Math.max(0, parseInt(level.mismatchDelay, 10) || base.mismatchDelay)
+            };
+        }
+
+        return this.settings;
+    }
+
+    /**
+     * Set the game mode used for the next game
+     * @param {string} mode - Mode key (see GAME_MODES)
+     * @returns {string} The mode that will be used
+     */
+    setMode(mode) {
+        if (!GAME_MODES[mode]) {
+            console.warn(`Unknown game mode "${mode}", using classic`);
+            mode = 'classic';
+        }
+        this.mode = mode;
+        return this.mode;
+    }
+
+    /**
+     * Set how many cards make a group for the next game
+     * @param {number} size - Group size (see GROUP_SIZES)
+     * @returns {number} The group size that will be used
+     */
+    setGroupSize(size) {
+        size = parseInt(size, 10);
+        if (!GROUP_SIZES[size]) {
+            console.warn(`Unsupported group size "${size}", using pairs`);
+            size = 2;
+        }
+        this.groupSize = size;
+        return this.groupSize;
+    }
+
+    /**
+     * How many groups to deal, keeping the number of cards of the chosen difficulty
+     * @param {number} size - Cards per group (default: the chosen group size)
+     * @returns {number} Number of groups
+     */
+    getGroupCount(size = this.groupSize) {
+        return Math.max(2, Math.floor(this.settings.totalPairs * 2 / size));
+    }
+
+    /**
+     * Name of the groups on the board, for the status line
+     * @param {number} size - Group size (default: size of the dealt groups)
+     * @returns {string} e.g. 'זוגות' or 'שלישיות'
+     */
+    getGroupLabel(size = this.core.totalGroups ? this.core.groupSize : this.groupSize) {
+        return GROUP_SIZES[size] ? GROUP_SIZES[size].label : 'קבוצות';
+    }
+
+    /**
+     * Countdown length for timed mode
+     * @param {number} groupCount - Number of groups on the board
+     * @param {number} groupSize - Cards per group (default: pairs)
+     * @returns {number} Duration in seconds
+     */
+    getTimedDuration(groupCount, groupSize = 2) {
+        const { secondsPerPair, minSeconds } = GAME_MODES.timed;
+        return Math.max(minSeconds, Math.round(groupCount * secondsPerPair * groupSize / 2));
+    }
+
+    /**
+     * Star rating for a finished "moves" game
+     * @param {number} flips - Cards flipped during the game
+     * @param {number} groupCount - Number of groups on the board
+     * @param {number} groupSize - Cards per group (default: pairs)
+     * @returns {number} 1 to 3 stars
+     */
+    getStarRating(flips, groupCount, groupSize = 2) {
+        // Compare per card flipped, so groups of any size use the pair thresholds
+        const flipsPerPair = flips / Math.max(1, groupCount) * 2 / groupSize;
+        const threshold = STAR_THRESHOLDS.find(level => flipsPerPair <= level.maxFlipsPerPair);
+        return threshold ? threshold.stars : 1;
+    }
+
+    /**
+     * Score manager holding the best result of the current topic, mode and board size
+     * Timed mode keeps the most seconds left, moves mode the fewest flips
+     * @param {number} result - Result of the game that just ended
+     * @returns {ScoreManager} Manager with the stored best result
+     */
+    getBestResultManager(result = 0) {
+        const boardSize = this.core.groupSize > 2
+            ? `${this.core.totalGroups}x${this.core.groupSize}`
+            : this.core.totalGroups;
+        const storageKey = `${BEST_RESULT_STORAGE_KEY}:${this.mode}:${boardSize}:${this.getTopicKey()}`;
+        return new ScoreManager(result, {
+            storageKey,
+            lowerIsBetter: this.mode === 'moves'
+        });
+    }
+
+    /**
+     * Set the players for hot-seat mode
+     * Must be called before the board is set up (before init)
+     * @param {string[]} names - Player names; fewer than 2 names means a single player
+     * @returns {Array} The players that will take turns
+     */
+    setPlayers(names = []) {
+        return this.core.setPlayers(names);
+    }
+
+    /**
+     * Whether more than one player is taking turns
+     * @returns {boolean}
+     */
+    isMultiplayer() {
+        return this.core.isMultiplayer();
+    }
+
+    /**
+     * Pick a column count that keeps the board close to rectangular
+     * @param {number} cardCount - Number of cards on the board
+     * @returns {number} Number of grid columns
+     */
+    getGridColumns(cardCount) {
+        if (cardCount <= 0) return 1;
+
+        const minColumns = Math.ceil(Math.sqrt(cardCount));
+        const maxColumns = Math.min(MAX_GRID_COLUMNS, cardCount);
+
+        // Prefer a column count that fills the last row completely
+        for (let columns = minColumns; columns <= maxColumns; columns++) {
+            if (cardCount % columns === 0) {
+                return columns;
+            }
+        }
+
+        return Math.min(minColumns, MAX_GRID_COLUMNS);
+    }
+
+    /**
+     * Key under which the current topic's practice history is stored
+     * @returns {string|null} Data file name or deck key, or null when nothing is loaded
+     */
+    getTopicKey() {
+        return this.getSourceKey(this.currentDeck || this.currentFilePath);
+    }
+
+    /**
+     * Key under which a topic's practice history and best results are stored
+     * @param {string|Object} source - Path to a topic data file, or a deck provider
+     * @returns {string|null} Data file name or deck key, or null without a source
+     */
+    getSourceKey(source) {
+        if (!source) return null;
+        return typeof source === 'string' ? source.split('/').pop() : source.key;
+    }
+
+    /**
+     * Progress on a topic, shown in the topic list
+     * Read from the practice history and the best results of single-player games
+     * @param {string|Object} source - Path to a topic data file, or a deck provider
+     * @returns {Object} { itemsPlayed, firstTryItems, lastPlayed, bestResults } - bestResults has
+     *                   one { mode, groups, groupSize, result } per mode, of the largest board played
+     */
+    getTopicProgress(source) {
+        const topicKey = this.getSourceKey(source);
+        const prefix = `${BEST_RESULT_STORAGE_KEY}:`;
+        const suffix = `:${topicKey}`;
+        const bestResults = {};
+
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (!key.startsWith(prefix) || !key.endsWith(suffix)) continue;
+
+                // memoryGameBest:<mode>:<pairs or groups x size>:<topic key>
+                const [mode, boardSize, ...rest] = key.slice(prefix.length, -suffix.length).split(':');
+                const [groups, groupSize = 2] = String(boardSize).split('x').map(Number);
+                const result = parseInt(localStorage.getItem(key), 10);
+                if (rest.length > 0 || !GAME_MODES[mode] || !groups || !result) continue;
+
+                const best = bestResults[mode];
+                if (!best || groups * groupSize > best.groups * best.groupSize) {
+                    bestResults[mode] = { mode, groups, groupSize, result };
+                }
+            }
+        } catch (e) {
+            console.error('Failed to load best results:', e);
+        }
+
+        return {
+            ...this.scheduler.getTopicSummary(topicKey),
+            bestResults: Object.values(bestResults)
+        };
+    }
 
     /**
      * Format topic name for display
@@ -95,73 +545,175 @@ const MemoryGame = {
         };
 
         return topicNames[fileName] || fileName.replace(/_/g, ' ');
-    },
+    }
 
     /**
-     * Prepare game data from the JSON file
+     * Find words that appear in more than one entry
+     * Such words are ambiguous on the board (e.g. "שונא" is both the opposite of
+     * "אוהב" and a synonym of "אויב")
+     * @param {Array} entries - Entries ({ key, words })
+     * @returns {Object} Map of word -> keys of the entries containing it (collisions only)
+     */
+    findWordCollisions(entries) {
+        const entriesByWord = {};
+        entries.forEach(({ key, words }) => {
+            new Set(words).forEach(word => {
+                if (!entriesByWord[word]) {
+                    entriesByWord[word] = [];
+                }
+                entriesByWord[word].push(key);
+            });
+        });
+
+        const collisions = {};
+        Object.entries(entriesByWord).forEach(([word, keys]) => {
+            if (keys.length > 1) {
+                collisions[word] = keys;
+            }
+        });
+        return collisions;
+    }
+
+    /**
+     * Read the entries of a topic's data
      * Handles both pairs format and multiple alternatives format
      * @param {Object} jsonData - The parsed JSON data
-     * @returns {Array} Array of word pairs for the game
+     * @returns {Array} Entries ({ key, words, notes }); empty for an unknown format
      */
-    prepareGameData(jsonData) {
+    parseEntries(jsonData) {
         let allEntries = [];
 
         // Detect the format and extract entries
         if (jsonData.pairs) {
             // Format from csv_to_json_pairs.py (הפכים.json)
-            allEntries = jsonData.pairs.map(pair => [pair.term1, pair.term2]);
+            allEntries = jsonData.pairs.map(pair => ({
+                key: String(pair.id ?? `${pair.term1}|${pair.term2}`),
+                ...parseAnnotatedEntry([pair.term1, pair.term2], pair)
+            }));
         } else if (jsonData.entries) {
             // Format from csv_to_json_multiple.py (מילים_נרדפות.json)
-            allEntries = jsonData.entries.map(entry => entry.alternatives);
+            allEntries = jsonData.entries.map(entry => ({
+                key: String(entry.id ?? entry.alternatives.join('|')),
+                ...parseAnnotatedEntry(entry.alternatives, entry)
+            }));
         } else {
             console.error('Unknown data format');
+        }
+
+        return keepDistinguishingMarkers(allEntries);
+    }
+
+    /**
+     * Prepare game data from the JSON file
+     * Deals groups of the chosen group size, or pairs when the topic doesn't have
+     * enough entries with that many alternatives
+     * @param {Object} jsonData - The parsed JSON data
+     * @returns {Array} Array of word groups (pairs by default) for the game
+     */
+    prepareGameData(jsonData) {
+        let allEntries = this.parseEntries(jsonData);
+        if (allEntries.length === 0) {
             return [];
         }
 
+        // Warn about words shared by several entries (they are never dealt together),
+        // unless the deck shares them on purpose
+        const collisions = this.currentDeck && this.currentDeck.sharedWords ? {} : this.findWordCollisions(allEntries);
+        const collidingWords = Object.keys(collisions);
+        if (collidingWords.length > 0) {
+            const details = collidingWords.map(word => `"${word}" (${collisions[word].join(', ')})`);
+            console.warn(`Words appearing in more than one entry: ${details.join('; ')}`);
+        }
+
         // Shuffle all entries
         this.shuffleArray(allEntries);
 
-        // Select random entries (limited by totalPairs)
-        const selectedEntries = allEntries.slice(0, Math.min(this.totalPairs, allEntries.length));
-
-        // Create pairs from selected entries
-        const gamePairs = [];
-        this.synonymPairs = {};
-
-        selectedEntries.forEach((entry, index) => {
-            let pair = [];
-
-            if (Array.isArray(entry)) {
-                if (entry.length === 2) {
-                    // Already a pair
-                    pair = entry;
-                } else if (entry.length > 2) {
-                    // Multiple alternatives - pick 2 random ones
-                    const shuffled = [...entry];
-                    this.shuffleArray(shuffled);
-                    pair = shuffled.slice(0, 2);
-                }
-            }
+        // Due and weak entries first (keeps the shuffled order within each rank)
+        const topicKey = this.getTopicKey();
+        if (topicKey) {
+            allEntries = this.scheduler.prioritize(topicKey, allEntries, entry => entry.key);
+        }
+
+        const gameGroups = this.selectGroups(allEntries, this.groupSize);
+        if (this.groupSize > 2 && gameGroups.length < 2) {
+            console.warn(`Not enough entries with ${this.groupSize} alternatives, dealing pairs`);
+            return this.selectGroups(allEntries, 2);
+        }
 
-            if (pair.length === 2) {
-                gamePairs.push(pair);
-                // Store bidirectional mapping for matching
-                this.synonymPairs[pair[0]] = pair[1];
-                this.synonymPairs[pair[1]] = pair[0];
+        return gameGroups;
+    }
+
+    /**
+     * Pick the groups to deal from the (ordered) entries
+     * A word is never dealt twice: entries whose words are already on the board
+     * are skipped, and alternatives already on the board are not picked
+     * @param {Array} entries - Entries ({ key, words, notes }) in dealing priority
+     * @param {number} size - Cards per group
+     * @returns {Array} Array of word groups; their entry keys are kept in groupKeys
+     *                  and their notes in groupNotes
+     */
+    selectGroups(entries, size) {
+        // Limited by the chosen difficulty
+        const groupCount = this.getGroupCount(size);
+        const gameGroups = [];
+        const dealtWords = new Set();
+        this.groupKeys = [];
+        this.groupAlternatives = [];
+        this.groupNotes = [];
+
+        for (const { key, words: entry, notes = {} } of entries) {
+            if (gameGroups.length >= groupCount) break;
+            if (!Array.isArray(entry)) continue;
+
+            // Only words that are not on the board yet
+            const available = [...new Set(entry)].filter(word => !dealtWords.has(word));
+            if (available.length < size) continue;
+
+            // Multiple alternatives - pick random ones
+            if (available.length > size) {
+                this.shuffleArray(available);
             }
-        });
+            const group = available.slice(0, size);
 
-        return gamePairs;
-    },
+            gameGroups.push(group);
+            this.groupKeys.push(key);
+            this.groupAlternatives.push([...new Set(entry)]);
+            this.groupNotes.push(notes);
+            group.forEach(word => dealtWords.add(word));
+        }
+
+        return gameGroups;
+    }
 
     /**
      * Setup the game board UI
-     * @param {Array} gamePairs - Array of word pairs
+     * @param {Array} gameGroups - Array of word groups (pairs by default)
+     * @param {string} topicName - Name of the topic for display
+     */
+    setupGameBoard(gameGroups, topicName = '') {
+        this.showGameBoard(topicName);
+
+        // Deal the cards (the core shuffles them) and render them
+        const cards = this.core.deal(gameGroups, this.groupKeys);
+        this.renderCards(cards);
+
+        // Start the countdown in timed mode
+        this.setupTimer();
+
+        // Update status
+        this.updateStatus();
+        this.saveGame();
+    }
+
+    /**
+     * Show an empty game board in place of the topic selection
      * @param {string} topicName - Name of the topic for display
      */
-    setupGameBoard(gamePairs, topicName = '') {
+    showGameBoard(topicName = '') {
+        this.topicName = topicName;
+
         // Hide the entire topic selection container (including title)
-        const topicContainer = document.getElementById('topic-selection-container');
+        const topicContainer = this.getTopicContainer();
         if (topicContainer) {
             topicContainer.style.display = 'none';
         }
@@ -176,387 +728,552 @@ const MemoryGame = {
 
         // Show the game container
         this.gameContainer.style.display = 'block';
+        this.hideReview();
 
         // Reset game state
         this.resetGameState();
+    }
 
-        // IMPORTANT: Repopulate synonymPairs after reset
-        // (resetGameState clears it, but we need it for matching)
-        gamePairs.forEach(pair => {
-            this.synonymPairs[pair[0]] = pair[1];
-            this.synonymPairs[pair[1]] = pair[0];
-        });
+    /**
+     * Storage key of the unfinished game of the current topic
+     * @returns {string}
+     */
+    getSaveKey() {
+        return `${this.saveStorageKey}:${this.getTopicKey()}`;
+    }
 
-        // Create word array (flatten pairs)
-        const gameWords = [];
-        gamePairs.forEach(pair => {
-            gameWords.push(pair[0], pair[1]);
+    /**
+     * Save the board, settings and counters so the game survives a reload
+     * Called after every move, and when the page is hidden or closed
+     */
+    saveGame() {
+        if (!this.getTopicKey() || this.core.isGameOver) return;
+
+        const savedGame = new GameState({
+            topicName: this.topicName,
+            difficulty: this.difficulty,
+            settings: this.settings,
+            mode: this.mode,
+            timeLeft: this.gameTimer ? this.gameTimer.getTimeLeft() : null,
+            snapshot: this.core.getSnapshot(),
+            groupAlternatives: this.groupAlternatives,
+            groupNotes: this.groupNotes,
+            savedAt: Date.now()
         });
-
-        // Shuffle the words
-        this.shuffleArray(gameWords);
-
-        // Render the cards
-        this.renderCards(gameWords);
-
-        // Update status
-        this.updateStatus();
-    },
+        savedGame.saveToStorage(this.getSaveKey());
+    }
 
     /**
-     * Create the game container HTML structure
-     * @param {string} topicName - Name of the topic for display
+     * Load the unfinished game of the current topic
+     * @returns {Object|null} Saved game, or null if there is none
      */
-    createGameContainer(topicName = '') {
-        // Check if container already exists
-        this.gameContainer = document.getElementById('memory-game-container');
-        if (this.gameContainer) return;
-
-        // Create the container
-        this.gameContainer = document.createElement('div');
-        this.gameContainer.id = 'memory-game-container';
-        this.gameContainer.style.display = 'none';
-        this.gameContainer.className = 'memory-game-wrapper';
-
-        // Format the title with topic name
-        const gameTitle = topicName ? `משחק זיכרון - ${topicName}` : 'משחק זיכרון';
-
-        this.gameContainer.innerHTML = `
-            <style>
-                .memory-game-wrapper {
-                    max-width: 1200px;
-                    margin: 0 auto;
-                    padding: 20px;
-                    font-family: 'Assistant', Arial, sans-serif;
-                }
-
-                .game-header {
-                    text-align: center;
-                    margin-bottom: 30px;
-                }
-
-                .game-header h2 {
-                    font-size: 2em;
-                    color: #333;
-                    margin-bottom: 10px;
-                }
-
-                .game-board {
-                    display: grid;
-                    grid-template-columns: repeat(5, 1fr);
-                    gap: 15px;
-                    margin-bottom: 30px;
-                    max-width: 800px;
-                    margin-left: auto;
-                    margin-right: auto;
-                }
-
-                .memory-card {
-                    position: relative;
-                    height: 100px;
-                    cursor: pointer;
-                    transform-style: preserve-3d;
-                    transition: transform 0.6s;
-                }
-
-                .memory-card.flipped {
-                    transform: rotateY(180deg);
-                }
-
-                .memory-card.matched {
-                    cursor: default;
-                    pointer-events: none;
-                    /* Ensure matched cards stay flipped/visible */
-                    transform: rotateY(180deg) !important;
-                }
-
-                .memory-card.matched .card-front {
-                    opacity: 0.6;
-                }
-
-                .memory-card.flipped.matched {
-                    /* Double ensure matched cards stay visible */
-                    transform: rotateY(180deg) !important;
-                }
+    loadSavedGame() {
+        if (!this.getTopicKey()) return null;
+
+        const savedGame = new GameState();
+        if (!savedGame.loadFromStorage(this.getSaveKey())) return null;
+
+        const state = savedGame.get();
+        const snapshot = state.snapshot;
+        const lists = snapshot ? [snapshot.cards, snapshot.groups, snapshot.groupSizes, snapshot.groupKeys, snapshot.players] : [];
+        if (!lists.length || !lists.every(Array.isArray) || snapshot.cards.length === 0 ||
+            !snapshot.groups.every(Array.isArray)) {
+            // A save from an older version can't be continued
+            if (snapshot) {
+                this.clearSavedGame();
+            }
+            return null;
+        }
 
-                .card-face {
-                    position: absolute;
-                    width: 100%;
-                    height: 100%;
-                    -webkit-backface-visibility: hidden;
-                    backface-visibility: hidden;
-                    border-radius: 8px;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    font-weight: bold;
-                    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                }
+        return state;
+    }
 
-                .card-front {
-                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                    color: white;
-                    font-size: 2em;
-                }
+    /**
+     * Forget the unfinished game of the current topic
+     */
+    clearSavedGame() {
+        if (!this.getTopicKey()) return;
 
-                .card-back {
-                    background-color: #f0f0f0;
-                    color: #333;
-                    transform: rotateY(180deg);
-                    font-size: 1.2em;
-                    padding: 10px;
-                    text-align: center;
-                }
+        try {
+            localStorage.removeItem(this.getSaveKey());
+        } catch (e) {
+            console.error('Failed to clear saved game:', e);
+        }
+    }
 
-                .card-back.active {
-                    background-color: #ffd93d;
-                }
+    /**
+     * Ask whether to continue a saved game or deal a new board
+     * @param {Object} savedGame - Saved game from loadSavedGame()
+     * @returns {Promise<boolean>} Resolves with true to continue the saved game
+     */
+    confirmResume(savedGame) {
+        const { snapshot } = savedGame;
+        const groupSize = Math.max(2, ...snapshot.groupSizes);
+
+        return new Promise(resolve => {
+            let resume = false;
+
+            const modal = createModal({
+                title: 'משחק שלא הסתיים',
+                emoji: '🧠',
+                message: `נמצאו ${snapshot.groupsFound} מתוך ${snapshot.groupSizes.length} ${this.getGroupLabel(groupSize)}. להמשיך את המשחק הקודם?`,
+                buttons: [
+                    {
+                        text: 'משחק חדש',
+                        action: 'close',
+                        onClick: () => { resume = false; }
+                    },
+                    {
+                        text: 'המשך משחק קודם',
+                        action: 'close',
+                        primary: true,
+                        onClick: () => { resume = true; }
+                    }
+                ],
+                onClose: () => resolve(resume)
+            });
+            modal.show();
+        });
+    }
 
-                .card-back.matched {
-                    background-color: #6bcf7f !important;
-                }
+    /**
+     * Continue a saved game with its own settings, players and board
+     * @param {Object} savedGame - Saved game from loadSavedGame()
+     */
+    resumeGame(savedGame) {
+        this.difficulty = savedGame.difficulty;
+        this.settings = { ...savedGame.settings };
+        this.setMode(savedGame.mode);
+        this.groupAlternatives = savedGame.groupAlternatives || [];
+        this.groupNotes = savedGame.groupNotes || [];
 
-                .game-controls {
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                    max-width: 800px;
-                    margin: 0 auto;
-                }
+        this.showGameBoard(savedGame.topicName);
 
-                .game-status {
-                    font-size: 1.2em;
-                    color: #555;
-                }
+        const cards = this.core.restore(savedGame.snapshot);
+        this.renderCards(cards);
 
-                .game-buttons {
-                    display: flex;
-                    gap: 10px;
-                }
+        this.setupTimer(savedGame.timeLeft);
+        this.updateStatus();
+    }
 
-                .game-button {
-                    padding: 10px 20px;
-                    border: none;
-                    border-radius: 6px;
-                    font-size: 1em;
-                    cursor: pointer;
-                    transition: all 0.3s;
-                    font-weight: 600;
-                }
+    /**
+     * Show and start the countdown timer in timed mode (hide it otherwise)
+     * Uses createCircularTimer from the common library; the full time is scaled to the board
+     * @param {number|null} timeLeft - Seconds left of a resumed game (default: the full time)
+     */
+    setupTimer(timeLeft = null) {
+        const duration = this.getTimedDuration(this.core.totalGroups, this.core.groupSize);
+        const timerArea = this.find('.game-timer');
+        if (!timerArea) return;
+
+        timerArea.innerHTML = '';
+        timerArea.style.display = this.mode === 'timed' ? '' : 'none';
+        if (this.mode !== 'timed') return;
+
+        const { container, progressCircle, textDisplay, circumference } = createTimerSVG({ size: 80, radius: 34, strokeWidth: 8 });
+        timerArea.appendChild(container);
+
+        this.gameTimer = createCircularTimer({
+            duration,
+            svgCircle: progressCircle,
+            textElement: textDisplay,
+            circumference,
+            warningTime: 10,
+            smooth: true,
+            onWarning: () => audioFunctions.playSound('warningTick'),
+            onComplete: () => this.handleTimeUp()
+        });
+        if (timeLeft > 0 && timeLeft < duration) {
+            this.gameTimer.addTime(timeLeft - duration);
+        }
+        this.gameTimer.start();
+    }
 
-                .btn-primary {
-                    background-color: #667eea;
-                    color: white;
-                }
+    /**
+     * Stop the countdown timer if one is running
+     */
+    stopTimer() {
+        if (this.gameTimer) {
+            this.gameTimer.stop();
+        }
+    }
 
-                .btn-primary:hover {
-                    background-color: #5a67d8;
-                    transform: translateY(-2px);
-                }
+    /**
+     * Handle the countdown reaching zero in timed mode
+     */
+    handleTimeUp() {
+        this.core.end('timeout');
+        this.clearSavedGame();
+        audioFunctions.playGameOverSound();
 
-                .btn-secondary {
-                    background-color: #e2e8f0;
-                    color: #4a5568;
-                }
+        const statusElement = this.find('.game-status');
+        if (statusElement) {
+            statusElement.textContent = `⏰ נגמר הזמן! נמצאו ${this.core.groupsFound} מתוך ${this.core.totalGroups} ${this.getGroupLabel()}`;
+            statusElement.style.color = '#dc2626';
+            statusElement.style.fontWeight = 'bold';
+            this.announce(statusElement.textContent);
+        }
 
-                .btn-secondary:hover {
-                    background-color: #cbd5e0;
-                }
+        this.showReview();
+    }
 
-                @keyframes green-flash {
-                    50% {
-                        box-shadow: 0 0 30px 15px rgba(107, 207, 127, 0.7);
-                    }
-                }
+    /**
+     * Create the game container HTML structure
+     * @param {string} topicName - Name of the topic for display
+     */
+    createGameContainer(topicName = '') {
+        // Create the container
+        this.gameContainer = document.createElement('div');
+        this.gameContainer.style.display = 'none';
+        this.gameContainer.className = 'memory-game-wrapper';
 
-                .flash-green {
-                    animation: green-flash 0.8s ease-in-out;
-                }
-            </style>
+        this.ensureStylesheet();
 
+        this.gameContainer.innerHTML = `
             <div class="game-header">
-                <h2 id="game-title">${gameTitle}</h2>
+                <h2 class="game-title"></h2>
+                <div class="game-timer" style="display: none;"></div>
             </div>
 
-            <div id="game-board" class="game-board">
+            <div class="game-board" role="group" aria-label="לוח הקלפים">
                 <!-- Cards will be generated here -->
             </div>
 
+            <div class="game-hint" style="display: none;"></div>
+
+            <div class="game-announcer sr-only" role="status" aria-live="polite"></div>
+
             <div class="game-controls">
-                <div id="game-status" class="game-status">נמצאו 0 מתוך ${this.totalPairs} זוגות</div>
+                <div class="game-status">נמצאו 0 מתוך ${this.getGroupCount()} ${this.getGroupLabel(this.groupSize)}</div>
+                <div class="player-scores"></div>
                 <div class="game-buttons">
-                    <button id="change-topic-btn" class="game-button btn-secondary">החלף נושא</button>
-                    <button id="reset-game-btn" class="game-button btn-primary">משחק חדש</button>
+                    <button class="game-button btn-secondary hint-btn" style="display: none;">💡 רמז</button>
+                    <button class="game-button btn-secondary change-topic-btn">החלף נושא</button>
+                    <button class="game-button btn-primary reset-game-btn">משחק חדש</button>
                 </div>
             </div>
+
+            <div class="game-review" style="display: none;"></div>
         `;
 
-        // Add to the page
-        const mainContainer = document.querySelector('body');
-        mainContainer.appendChild(this.gameContainer);
+        // Add to this board's root element
+        this.root.appendChild(this.gameContainer);
+        this.updateGameTitle(topicName);
 
         // Add event listeners
-        document.getElementById('reset-game-btn').addEventListener('click', () => this.resetGame());
-        document.getElementById('change-topic-btn').addEventListener('click', () => this.changeTopic());
-    },
+        this.find('.reset-game-btn').addEventListener('click', () => this.resetGame());
+        this.find('.hint-btn').addEventListener('click', () => this.showHint());
+        this.find('.game-board').addEventListener('keydown', event => this.handleBoardKeydown(event));
+        document.addEventListener('visibilitychange', this.handlePageLeave);
+        window.addEventListener('beforeunload', this.handlePageLeave);
+
+        this.destroyHeaderControls();
+        this.soundToggle = createSoundToggle({ showVolume: true });
+        this.speechControls = createSpeechControls(this.speaker);
+        this.find('.game-header').appendChild(this.soundToggle);
+        this.find('.game-header').appendChild(this.speechControls);
+
+        const changeTopicButton = this.find('.change-topic-btn');
+        if (this.topicContainerId) {
+            changeTopicButton.addEventListener('click', () => this.changeTopic());
+        } else {
+            changeTopicButton.style.display = 'none';
+        }
+    }
+
+    /**
+     * Load the memory game stylesheet once per page
+     */
+    ensureStylesheet() {
+        if (document.querySelector(`link[href="${STYLESHEET_URL}"]`)) return;
+
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = STYLESHEET_URL;
+        document.head.appendChild(link);
+    }
 
     /**
      * Render the cards on the game board
-     * @param {Array} words - Array of words to display on cards
+     * @param {Array} cards - Cards dealt by the core ({ id, word, state }); matched cards
+     *                        (from a resumed game) are shown face up
      */
-    renderCards(words) {
-        const gameBoard = document.getElementById('game-board');
+    renderCards(cards) {
+        const gameBoard = this.find('.game-board');
         gameBoard.innerHTML = '';
 
-        words.forEach(word => {
+        // Adapt the grid to the number of cards
+        const columns = this.getGridColumns(cards.length);
+        this.gridColumns = columns;
+        gameBoard.style.gridTemplateColumns = `repeat(${columns}, 1fr)`;
+        gameBoard.style.maxWidth = `${Math.min(columns * 160, 1200)}px`;
+
+        this.cardElements = [];
+
+        cards.forEach(({ id, word, state }, index) => {
             const card = document.createElement('div');
             card.className = 'memory-card';
+            card.dataset.cardId = id;
             card.dataset.word = word;
+            card.dataset.position = index + 1;
+            card.setAttribute('role', 'button');
+            // Roving focus: only one card is in the tab order, arrows move between cards
+            card.tabIndex = index === 0 ? 0 : -1;
 
             card.innerHTML = `
                 <div class="card-face card-front">?</div>
-                <div class="card-face card-back">${word}</div>
+                <div class="card-face card-back"></div>
             `;
+            card.querySelector('.card-back').appendChild(createTermElement(word, this.getAssetBaseUrl()));
+            if (isImageTerm(word)) {
+                card.classList.add('picture-card');
+            }
 
-            // Store the handler function so we can remove it later
-            card.clickHandler = () => this.handleCardClick(card);
-            card.addEventListener('click', card.clickHandler);
+            if (state === 'matched') {
+                card.classList.add('flipped', 'matched');
+                card.querySelector('.card-back').classList.add('matched');
+            } else {
+                // Store the handler function so we can remove it later
+                card.clickHandler = () => this.handleCardClick(card);
+                card.addEventListener('click', card.clickHandler);
+            }
+            this.updateCardLabel(card, { id, word, state });
             gameBoard.appendChild(card);
+            this.cardElements[id] = card;
         });
-    },
+
+        // Hints are offered only when some entry on the board has one
+        this.find('.hint-btn').style.display = this.groupNotes.some(notes => notes && notes.hint) ? '' : 'none';
+        this.hideHint();
+    }
 
     /**
-     * Handle card click event
-     * @param {HTMLElement} card - The clicked card element
+     * Show the hint of the group of the card that is open
+     * Hints stay off the card faces; players ask for them with the hint button
      */
-    handleCardClick(card) {
-        // Prevent clicking if board is locked or card is already flipped or matched
-        if (this.lockBoard || card.classList.contains('flipped') || card.classList.contains('matched')) {
-            return;
+    showHint() {
+        const [openCard] = this.core.openCards;
+        const hintElement = this.find('.game-hint');
+        if (!hintElement) return;
+
+        let hint;
+        if (!openCard) {
+            hint = 'הפכו קלף כדי לקבל רמז';
+        } else {
+            const notes = this.groupNotes[openCard.groupIndex] || {};
+            hint = notes.hint ? `💡 ${notes.hint}` : 'אין רמז לקלף הזה';
+            if (notes.hint) {
+                audioFunctions.playSound('hint');
+            }
         }
 
-        // Flip the card
-        card.classList.add('flipped');
-        const cardBack = card.querySelector('.card-back');
-        cardBack.classList.add('active');
+        hintElement.textContent = hint;
+        hintElement.style.display = 'block';
+        this.announce(hint);
+    }
 
-        if (!this.firstCard) {
-            // First card clicked
-            this.firstCard = card;
-            return;
+    /**
+     * Hide the hint shown for the last open card
+     */
+    hideHint() {
+        const hintElement = this.find('.game-hint');
+        if (hintElement) {
+            hintElement.style.display = 'none';
+            hintElement.textContent = '';
         }
+    }
 
-        // Prevent clicking the same card twice
-        if (this.firstCard === card) {
-            return;
+    /**
+     * Describe a card for screen readers
+     * @param {HTMLElement} cardElement - Card element
+     * @param {Object} card - Core card ({ id, word, state })
+     */
+    updateCardLabel(cardElement, card) {
+        const number = cardElement.dataset.position;
+
+        if (card.state === 'matched') {
+            cardElement.setAttribute('aria-label', `קלף ${number}: ${getTermLabel(card.word)}, נמצא`);
+            cardElement.setAttribute('aria-disabled', 'true');
+        } else if (card.state === 'flipped') {
+            cardElement.setAttribute('aria-label', `קלף ${number}: ${getTermLabel(card.word)}`);
+            cardElement.removeAttribute('aria-disabled');
+        } else {
+            cardElement.setAttribute('aria-label', `קלף ${number}, מוסתר`);
+            cardElement.removeAttribute('aria-disabled');
         }
+    }
 
-        // Second card clicked
-        this.secondCard = card;
-        this.lockBoard = true;
+    /**
+     * Keyboard support for the board: arrows move between cards (in grid order),
+     * Home/End jump to the first/last card, Enter/Space flip the focused card
+     * @param {KeyboardEvent} event - Keydown event from the board
+     */
+    handleBoardKeydown(event) {
+        const cardElement = event.target.closest('.memory-card');
+        if (!cardElement) return;
+
+        const cards = Array.from(this.find('.game-board').children);
+        const index = cards.indexOf(cardElement);
+        const isRtl = window.getComputedStyle(cardElement).direction === 'rtl';
+        const columns = this.gridColumns;
+
+        const targets = {
+            ArrowRight: isRtl ? index - 1 : index + 1,
+            ArrowLeft: isRtl ? index + 1 : index - 1,
+            ArrowDown: index + columns,
+            ArrowUp: index - columns,
+            Home: 0,
+            End: cards.length - 1
+        };
 
-        // Check for match
-        this.checkForMatch();
-    },
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.handleCardClick(cardElement);
+        } else if (event.key in targets) {
+            event.preventDefault();
+            const target = targets[event.key];
+            if (target >= 0 && target < cards.length) {
+                this.focusCard(cards[target]);
+            }
+        }
+    }
 
     /**
-     * Check if two flipped cards match
+     * Move keyboard focus to a card
+     * @param {HTMLElement} cardElement - Card element to focus
      */
-    checkForMatch() {
-        const word1 = this.firstCard.dataset.word;
-        const word2 = this.secondCard.dataset.word;
+    focusCard(cardElement) {
+        this.cardElements.forEach(card => {
+            card.tabIndex = -1;
+        });
+        cardElement.tabIndex = 0;
+        cardElement.focus();
+    }
 
-        const isMatch = this.synonymPairs[word1] === word2;
+    /**
+     * Announce a message to screen readers through the live region
+     * @param {string} message - Text to announce
+     */
+    announce(message) {
+        const announcer = this.find('.game-announcer');
+        if (announcer) {
+            announcer.textContent = message;
+        }
+    }
 
-        if (isMatch) {
-            this.handleMatch();
-        } else {
-            this.handleMismatch();
+    /**
+     * Handle card click event - the core decides whether the card may flip
+     * A flipped card is read aloud when speech is switched on
+     * @param {HTMLElement} card - The clicked card element
+     */
+    handleCardClick(card) {
+        const cardId = Number(card.dataset.cardId);
+        if (this.core.flip(cardId)) {
+            audioFunctions.playSound('cardFlip');
+            this.speaker.speak(getTermLabel(this.core.getCard(cardId).word));
         }
-    },
+    }
+
+    /**
+     * Show a card the core turned face up
+     * @param {Object} event - Core 'flip' event ({ card })
+     */
+    handleFlip({ card }) {
+        const cardElement = this.cardElements[card.id];
+        cardElement.classList.add('flipped');
+        cardElement.querySelector('.card-back').classList.add('active');
+        this.updateCardLabel(cardElement, card);
+
+        this.updateStatus(`נחשף: ${getTermLabel(card.word)}`);
+        this.saveGame();
+    }
 
     /**
      * Handle matching cards
+     * @param {Object} event - Core 'match' event ({ cards, groupKey, flips })
      */
-    handleMatch() {
+    handleMatch({ cards, groupKey, flips }) {
         // Play success sound
         this.playSuccessSound();
+        this.hideHint();
 
-        // Store references to cards before resetting turn
-        const card1 = this.firstCard;
-        const card2 = this.secondCard;
-
-        // Remove event listeners from matched cards (like memory5.html does)
-        if (card1.clickHandler) {
-            card1.removeEventListener('click', card1.clickHandler);
-        }
-        if (card2.clickHandler) {
-            card2.removeEventListener('click', card2.clickHandler);
+        // Record how many flips it took to match this entry
+        const topicKey = this.getTopicKey();
+        if (topicKey && groupKey !== undefined) {
+            // The scheduler rates pairs; count only the extra flips of larger groups
+            this.scheduler.recordResult(topicKey, groupKey, flips - cards.length + 2);
         }
 
-        // Get card back elements
-        const firstBack = card1.querySelector('.card-back');
-        const secondBack = card2.querySelector('.card-back');
-
-        // Change to green to indicate success
-        firstBack.classList.remove('active');
-        secondBack.classList.remove('active');
-        firstBack.classList.add('matched');
-        secondBack.classList.add('matched');
-
-        // Flash animation
-        firstBack.classList.add('flash-green');
-        secondBack.classList.add('flash-green');
+        cards.forEach(({ id }) => {
+            const cardElement = this.cardElements[id];
 
-        // Add matched class to cards immediately (not after timeout)
-        // This prevents them from being clickable
-        card1.classList.add('matched');
-        card2.classList.add('matched');
-
-        // Important: Cards keep their 'flipped' class so they remain visible
+            // Remove event listeners from matched cards (like memory5.html does)
+            if (cardElement.clickHandler) {
+                cardElement.removeEventListener('click', cardElement.clickHandler);
+            }
 
-        // Update score
-        this.pairsFound++;
-        this.updateStatus();
+            // Change to green to indicate success, with a flash animation
+            const cardBack = cardElement.querySelector('.card-back');
+            cardBack.classList.remove('active');
+            cardBack.classList.add('matched', 'flash-green');
 
-        // Check for win
-        if (this.pairsFound === this.totalPairs) {
-            setTimeout(() => {
-                this.showWinMessage();
-            }, 800);
-        }
+            // Matched cards keep their 'flipped' class so they remain visible
+            cardElement.classList.add('matched');
+            this.updateCardLabel(cardElement, { id, word: cardElement.dataset.word, state: 'matched' });
+        });
 
-        // Reset turn (but cards stay flipped and visible)
-        this.resetTurn();
-    },
+        this.updateStatus(`התאמה! ${cards.map(card => getTermLabel(card.word)).join(' – ')}`);
+        this.saveGame();
+    }
 
     /**
-     * Handle non-matching cards
+     * Handle non-matching cards - wait, then let the core turn them back
+     * @param {Object} event - Core 'mismatch' event ({ cards })
      */
-    handleMismatch() {
-        // Wait before flipping back
+    handleMismatch({ cards }) {
+        this.updateStatus(`אין התאמה: ${cards.map(card => getTermLabel(card.word)).join(', ')}`);
         this.unflipTimeoutId = setTimeout(() => {
-            this.firstCard.classList.remove('flipped');
-            this.secondCard.classList.remove('flipped');
-
-            const firstBack = this.firstCard.querySelector('.card-back');
-            const secondBack = this.secondCard.querySelector('.card-back');
+            this.unflipTimeoutId = null;
+            this.core.resolveMismatch();
+        }, this.settings.mismatchDelay);
+    }
 
-            firstBack.classList.remove('active');
-            secondBack.classList.remove('active');
+    /**
+     * Turn mismatched cards face down again
+     * @param {Object} event - Core 'unflip' event ({ cards })
+     */
+    handleUnflip({ cards }) {
+        this.hideHint();
+        cards.forEach(card => {
+            const cardElement = this.cardElements[card.id];
+            cardElement.classList.remove('flipped');
+            cardElement.querySelector('.card-back').classList.remove('active');
+            this.updateCardLabel(cardElement, card);
+        });
+        this.saveGame();
+    }
 
-            this.resetTurn();
-        }, 1200);
-    },
+    /**
+     * Show whose turn it is after the turn passed
+     */
+    handleTurn() {
+        const player = this.core.getCurrentPlayer();
+        this.updateStatus(player ? `התור של ${player.name}` : '');
+        this.saveGame();
+    }
 
     /**
-     * Reset turn state
+     * Handle all groups being found
      */
-    resetTurn() {
-        this.firstCard = null;
-        this.secondCard = null;
-        this.lockBoard = false;
-    },
+    handleWin() {
+        this.stopTimer();
+        this.clearSavedGame();
+        this.winTimeoutId = setTimeout(() => {
+            this.winTimeoutId = null;
+            this.showWinMessage();
+            this.showReview();
+        }, 800);
+    }
 
     /**
      * Reset the entire game state
@@ -564,36 +1281,70 @@ const MemoryGame = {
     resetGameState() {
         // Clear timeouts
         if (this.unflipTimeoutId) clearTimeout(this.unflipTimeoutId);
-        if (this.resetColorTimeoutId) clearTimeout(this.resetColorTimeoutId);
+        if (this.winTimeoutId) clearTimeout(this.winTimeoutId);
+        this.unflipTimeoutId = null;
+        this.winTimeoutId = null;
+
+        this.stopTimer();
+        this.gameTimer = null;
 
-        // Reset variables
-        this.firstCard = null;
-        this.secondCard = null;
-        this.lockBoard = false;
-        this.pairsFound = 0;
-        this.synonymPairs = {};
-    },
+        // Reset the rules state (players are kept)
+        this.core.reset();
+    }
 
     /**
      * Reset the game with the same topic
      */
     resetGame() {
-        if (this.currentFilePath) {
-            this.init(this.currentFilePath);
+        const source = this.currentDeck || this.currentFilePath;
+        if (source) {
+            this.clearSavedGame();
+            this.init(source);
+        }
+    }
+
+    /**
+     * Stop this board and remove it from the page
+     */
+    destroy() {
+        this.resetGameState();
+        this.speaker.cancel();
+        this.destroyHeaderControls();
+        document.removeEventListener('visibilitychange', this.handlePageLeave);
+        window.removeEventListener('beforeunload', this.handlePageLeave);
+
+        if (this.gameContainer) {
+            this.gameContainer.remove();
+            this.gameContainer = null;
+        }
+    }
+
+    /**
+     * Stop the sound and speech controls of the header from following the
+     * sound settings and waiting for voices
+     */
+    destroyHeaderControls() {
+        if (this.soundToggle) {
+            this.soundToggle.destroy();
+            this.soundToggle = null;
         }
-    },
+        if (this.speechControls) {
+            this.speechControls.destroy();
+            this.speechControls = null;
+        }
+    }
 
     /**
      * Update the game title with topic name
      * @param {string} topicName - Name of the topic for display
      */
     updateGameTitle(topicName = '') {
-        const titleElement = document.getElementById('game-title');
+        const titleElement = this.find('.game-title');
         if (titleElement) {
             const gameTitle = topicName ? `משחק זיכרון - ${topicName}` : 'משחק זיכרון';
             titleElement.textContent = gameTitle;
         }
-    },
+    }
 
     /**
      * Change topic - go back to topic selection
@@ -605,37 +1356,279 @@ const MemoryGame = {
         }
 
         // Show topic selection container (including title)
-        const topicContainer = document.getElementById('topic-selection-container');
+        const topicContainer = this.getTopicContainer();
         if (topicContainer) {
             topicContainer.style.display = '';
         }
 
         // Clear game state
         this.resetGameState();
-    },
+
+        // Let the page know (e.g. to update its address)
+        this.root.dispatchEvent(new CustomEvent('memorygame:changetopic', { bubbles: true }));
+    }
 
     /**
      * Update game status display
+     * @param {string} announcement - What just happened, announced to screen
+     *                                readers together with the status
      */
-    updateStatus() {
-        const statusElement = document.getElementById('game-status');
+    updateStatus(announcement = '') {
+        // Keep the win / time-up message once the game has ended
+        if (this.core.isGameOver) return;
+
+        const statusElement = this.find('.game-status');
         if (statusElement) {
-            statusElement.textContent = `נמצאו ${this.pairsFound} מתוך ${this.totalPairs} זוגות`;
+            let status = `נמצאו ${this.core.groupsFound} מתוך ${this.core.totalGroups} ${this.getGroupLabel()} (רמה: ${this.settings.label})`;
+            if (this.mode === 'moves') {
+                status += ` | היפוכים: ${this.core.flips}`;
+            }
+            statusElement.textContent = status;
+            statusElement.style.color = '';
+            statusElement.style.fontWeight = '';
+
+            if (announcement) {
+                this.announce(`${announcement}. ${status}`);
+            }
         }
-    },
+
+        this.renderPlayerScores();
+    }
+
+    /**
+     * Render each player's score, highlighting whose turn it is
+     */
+    renderPlayerScores() {
+        const scoresElement = this.find('.player-scores');
+        if (!scoresElement) return;
+
+        scoresElement.innerHTML = '';
+        this.core.players.forEach((player, index) => {
+            const isCurrent = index === this.core.currentPlayerIndex;
+            const scoreElement = document.createElement('span');
+            scoreElement.className = isCurrent ? 'player-score current' : 'player-score';
+            scoreElement.textContent = `${isCurrent ? '▶ ' : ''}${player.name}: ${player.score}`;
+            scoresElement.appendChild(scoreElement);
+        });
+    }
 
     /**
      * Show win message
      */
     showWinMessage() {
         audioFunctions.playVictorySound(); // Play victory sound when game is won
-        const statusElement = document.getElementById('game-status');
+        const statusElement = this.find('.game-status');
         if (statusElement) {
-            statusElement.textContent = '🎉 כל הכבוד! ניצחת! 🎉';
+            const resultText = this.getResultText();
+            statusElement.textContent = resultText ? `${this.getWinText()} ${resultText}` : this.getWinText();
             statusElement.style.color = '#22c55e';
             statusElement.style.fontWeight = 'bold';
+            this.announce(statusElement.textContent);
+        }
+    }
+
+    /**
+     * Summarize every group that was on the board
+     * A group needs practice if it wasn't found or took more than one try
+     * @returns {Array} Review items ({ key, words, alternatives, found, attempts, needsPractice })
+     */
+    getReviewItems() {
+        return this.core.getGroupResults().map(result => {
+            const entryWords = this.groupAlternatives[result.groupIndex] || result.words;
+            const attempts = Math.max(1, Math.ceil(result.flips / result.words.length));
+
+            return {
+                groupIndex: result.groupIndex,
+                key: result.key,
+                words: result.words,
+                alternatives: entryWords.filter(word => !result.words.includes(word)),
+                notes: this.groupNotes[result.groupIndex] || {},
+                found: result.found,
+                attempts,
+                needsPractice: !result.found || attempts > 1
+            };
+        });
+    }
+
+    /**
+     * Show the end-of-game review: every group with its attempts and the
+     * other alternatives of its entry, plus "practice again" and "new game"
+     */
+    showReview() {
+        const reviewElement = this.find('.game-review');
+        if (!reviewElement) return;
+
+        const items = this.getReviewItems();
+        const practiceCount = items.filter(item => item.needsPractice).length;
+
+        reviewElement.innerHTML = '';
+
+        const title = document.createElement('h3');
+        title.className = 'review-title';
+        title.textContent = 'סיכום המשחק';
+        reviewElement.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.className = 'review-list';
+        items.forEach(item => {
+            const row = document.createElement('li');
+            row.className = item.needsPractice ? 'review-item needs-practice' : 'review-item';
+
+            const words = document.createElement('span');
+            words.className = 'review-words';
+            item.words.forEach((word, index) => {
+                if (index > 0) {
+                    words.appendChild(document.createTextNode(' – '));
+                }
+                words.appendChild(createTermElement(word, this.getAssetBaseUrl()));
+            });
+            row.appendChild(words);
+
+            if (item.alternatives.length > 0) {
+                const alternatives = document.createElement('span');
+                alternatives.className = 'review-alternatives';
+                alternatives.textContent = `גם: ${item.alternatives.map(getTermLabel).join(', ')}`;
+                row.appendChild(alternatives);
+            }
+
+            (item.notes.tags || []).forEach(tag => {
+                const tagElement = document.createElement('span');
+                tagElement.className = 'review-tag';
+                tagElement.textContent = tag;
+                row.appendChild(tagElement);
+            });
+
+            const attempts = document.createElement('span');
+            attempts.className = 'review-attempts';
+            if (!item.found) {
+                attempts.textContent = '❌ לא נמצא';
+            } else if (item.attempts > 1) {
+                attempts.textContent = `🔁 ${item.attempts} ניסיונות`;
+            } else {
+                attempts.textContent = '✅ בניסיון הראשון';
+            }
+            row.appendChild(attempts);
+
+            const notes = [
+                ['hint', 'רמז'],
+                ['explanation', 'הסבר'],
+                ['example', 'דוגמה']
+            ].filter(([field]) => item.notes[field]);
+            notes.forEach(([field, label]) => {
+                const note = document.createElement('div');
+                note.className = `review-note review-${field}`;
+                note.textContent = `${label}: ${item.notes[field]}`;
+                row.appendChild(note);
+            });
+
+            list.appendChild(row);
+        });
+        reviewElement.appendChild(list);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'game-buttons';
+
+        if (practiceCount > 0) {
+            const practiceButton = document.createElement('button');
+            practiceButton.className = 'game-button btn-secondary practice-again-btn';
+            practiceButton.textContent = `תרגול חוזר (${practiceCount})`;
+            practiceButton.addEventListener('click', () => this.practiceAgain());
+            buttons.appendChild(practiceButton);
+        }
+
+        const newGameButton = document.createElement('button');
+        newGameButton.className = 'game-button btn-primary review-new-game-btn';
+        newGameButton.textContent = 'משחק חדש';
+        newGameButton.addEventListener('click', () => this.resetGame());
+        buttons.appendChild(newGameButton);
+
+        reviewElement.appendChild(buttons);
+        reviewElement.style.display = '';
+    }
+
+    /**
+     * Hide the end-of-game review
+     */
+    hideReview() {
+        const reviewElement = this.find('.game-review');
+        if (reviewElement) {
+            reviewElement.style.display = 'none';
+            reviewElement.innerHTML = '';
         }
-    },
+    }
+
+    /**
+     * Deal a new board with the groups that need practice
+     * (padded with other groups from the last board so there are at least two)
+     */
+    practiceAgain() {
+        const items = this.getReviewItems();
+        const practiceItems = items.filter(item => item.needsPractice);
+        const otherItems = items.filter(item => !item.needsPractice);
+        const selected = [...practiceItems, ...otherItems.slice(0, Math.max(0, 2 - practiceItems.length))];
+
+        this.groupKeys = selected.map(item => item.key);
+        this.groupAlternatives = selected.map(item => this.groupAlternatives[item.groupIndex] || item.words);
+        this.groupNotes = selected.map(item => item.notes);
+
+        this.clearSavedGame();
+        this.setupGameBoard(selected.map(item => item.words), this.topicName);
+    }
+
+    /**
+     * Describe the result of a finished timed or moves game
+     * Single-player results are compared with (and saved as) the best result
+     * of this topic, mode and board size
+     * @returns {string} Result text, empty in classic mode
+     */
+    getResultText() {
+        let result;
+        let text;
+        let unit;
+
+        if (this.mode === 'timed') {
+            result = this.gameTimer ? this.gameTimer.getTimeLeft() : 0;
+            unit = 'שניות';
+            text = `נשארו ${result} שניות.`;
+        } else if (this.mode === 'moves') {
+            result = this.core.flips;
+            unit = 'היפוכים';
+            const stars = this.getStarRating(result, this.core.totalGroups, this.core.groupSize);
+            text = `${result} היפוכים ${'⭐'.repeat(stars)}${'☆'.repeat(3 - stars)}`;
+        } else {
+            return '';
+        }
+
+        if (this.isMultiplayer()) {
+            return text;
+        }
+
+        const bestResult = this.getBestResultManager(result);
+        const previousBest = bestResult.getHighScore();
+        if (bestResult.updateHighScore()) {
+            return previousBest ? `${text} שיא חדש! 🏆` : text;
+        }
+
+        return `${text} השיא: ${previousBest} ${unit}`;
+    }
+
+    /**
+     * Build the end-of-game announcement
+     * @returns {string} Win text for a single player, winner or tie for several players
+     */
+    getWinText() {
+        if (!this.isMultiplayer()) {
+            return '🎉 כל הכבוד! ניצחת! 🎉';
+        }
+
+        const leaders = this.core.getLeaders();
+        if (leaders.length === 1) {
+            return `🎉 ${leaders[0].name} ניצח/ה עם ${leaders[0].score} ${this.getGroupLabel()}! 🎉`;
+        }
+
+        const names = leaders.map(player => player.name).join(' ו');
+        return `🤝 תיקו בין ${names} עם ${leaders[0].score} ${this.getGroupLabel()}! 🤝`;
+    }
 
     /**
      * Show error message
@@ -643,14 +1636,14 @@ const MemoryGame = {
      */
     showError(message) {
         alert(message);
-    },
+    }
 
     /**
      * Play success sound when cards match - uses common library
      */
     playSuccessSound() {
         audioFunctions.playSuccessSound();
-    },
+    }
 
     /**
      * Shuffle array using Fisher-Yates algorithm from common library
@@ -659,10 +1652,16 @@ const MemoryGame = {
     shuffleArray(array) {
         return shuffleArray(array);
     }
-};
+}
+
+// Default board of memory_game.html, rendered into the page body
+const MemoryGame = new MemoryGameEngine(document.body, { topicContainerId: 'topic-selection-container' });
 
-// Make MemoryGame globally accessible
+// Make MemoryGame globally accessible (MemoryGameEngine creates additional boards)
 window.MemoryGame = MemoryGame;
+window.MemoryGameEngine = MemoryGameEngine;
+window.MemoryGameDecks = deckProviders;
+window.MemoryGameCustomTopics = customTopics;
 
 // Export for use in other modules if needed
 if (typeof module !== 'undefined' && module.exports) {
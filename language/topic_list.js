@@ -1,7 +1,136 @@
 document.addEventListener('DOMContentLoaded', function() {
-    // Call loadTopics immediately when DOM is ready
+    const DIFFICULTY_STORAGE_KEY = 'memoryGameDifficulty';
+    const PLAYERS_STORAGE_KEY = 'memoryGamePlayers';
+    const MODE_STORAGE_KEY = 'memoryGameMode';
+    const GROUP_STORAGE_KEY = 'memoryGameGroupSize';
+    const TOPIC_GROUPING_STORAGE_KEY = 'memoryGameTopicGrouping';
+
+    // How the topic browser can group the topics (fields of topic_index.json)
+    const TOPIC_GROUPINGS = {
+        category: { label: 'לפי נושא', empty: 'כללי' },
+        grade: { label: 'לפי כיתה', empty: 'כל הכיתות' }
+    };
+
+    // Share of the entries matched on the first try from which a topic counts as mastered
+    const MASTERED_SHARE = 0.8;
+
+    // Topic files listed in topic_index.json, used to check deep links
+    let topicFiles = [];
+    // Everything the topic browser offers: files and generated decks
+    let topics = [];
+
+    // Build the settings pickers and load topics immediately when DOM is ready
+    renderDifficultyPicker();
+    renderModePicker();
+    renderGroupPicker();
+    renderPlayerPicker();
+    renderCustomTopicEditor();
+    renderTopicPackTools();
     loadTopics();
 
+    // Fill the difficulty picker from the engine presets and restore the last choice
+    function renderDifficultyPicker() {
+        const select = document.getElementById('difficulty-select');
+        if (!select || typeof MemoryGame === 'undefined') return;
+
+        Object.entries(MemoryGame.difficultyLevels).forEach(([key, level]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${level.label} (${level.totalPairs} זוגות)`;
+            select.appendChild(option);
+        });
+
+        const saved = localStorage.getItem(DIFFICULTY_STORAGE_KEY);
+        select.value = saved && MemoryGame.difficultyLevels[saved] ? saved : MemoryGame.difficulty;
+
+        select.addEventListener('change', function() {
+            localStorage.setItem(DIFFICULTY_STORAGE_KEY, select.value);
+        });
+    }
+
+    // Fill the game mode picker from the engine modes and restore the last choice
+    function renderModePicker() {
+        const select = document.getElementById('mode-select');
+        if (!select || typeof MemoryGame === 'undefined') return;
+
+        Object.entries(MemoryGame.gameModes).forEach(([key, mode]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = mode.label;
+            select.appendChild(option);
+        });
+
+        const saved = localStorage.getItem(MODE_STORAGE_KEY);
+        select.value = saved && MemoryGame.gameModes[saved] ? saved : MemoryGame.mode;
+
+        select.addEventListener('change', function() {
+            localStorage.setItem(MODE_STORAGE_KEY, select.value);
+        });
+    }
+
+    // Fill the group size picker (pairs, triples, quads) and restore the last choice
+    function renderGroupPicker() {
+        const select = document.getElementById('group-select');
+        if (!select || typeof MemoryGame === 'undefined') return;
+
+        Object.entries(MemoryGame.groupSizes).forEach(([size, group]) => {
+            const option = document.createElement('option');
+            option.value = size;
+            option.textContent = group.label;
+            select.appendChild(option);
+        });
+
+        const saved = localStorage.getItem(GROUP_STORAGE_KEY);
+        select.value = saved && MemoryGame.groupSizes[saved] ? saved : String(MemoryGame.groupSize);
+
+        select.addEventListener('change', function() {
+            localStorage.setItem(GROUP_STORAGE_KEY, select.value);
+        });
+    }
+
+    // Show one name input per player and restore the last names used
+    function renderPlayerPicker() {
+        const countSelect = document.getElementById('player-count-select');
+        const namesArea = document.getElementById('player-names');
+        if (!countSelect || !namesArea) return;
+
+        let savedNames = [];
+        try {
+            savedNames = JSON.parse(localStorage.getItem(PLAYERS_STORAGE_KEY)) || [];
+        } catch (e) {
+            console.warn('Ignoring saved player names:', e);
+        }
+
+        const renderNameInputs = () => {
+            const count = parseInt(countSelect.value, 10);
+            namesArea.innerHTML = '';
+            if (count < 2) return;
+
+            for (let i = 0; i < count; i++) {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = 'player-name-input';
+                input.placeholder = `שחקן ${i + 1}`;
+                input.value = savedNames[i] || '';
+                input.maxLength = 20;
+                namesArea.appendChild(input);
+            }
+        };
+
+        countSelect.value = String(Math.min(Math.max(savedNames.length, 1), 4));
+        renderNameInputs();
+        countSelect.addEventListener('change', renderNameInputs);
+    }
+
+    // Read the player names from the picker (empty list for a single player)
+    function getPlayerNames() {
+        const inputs = document.querySelectorAll('#player-names .player-name-input');
+        const names = Array.from(inputs).map(input => input.value.trim() || input.placeholder);
+
+        localStorage.setItem(PLAYERS_STORAGE_KEY, JSON.stringify(names));
+        return names;
+    }
+
     async function loadTopics() {
         // Define the path to the index file
         const indexPath = './data/topic_index.json';
@@ -27,35 +156,30 @@ document.addEventListener('DOMContentLoaded', function() {
 
             // Access the files array
             const files = data.files;
-
-            // Get the topic selection area div
-            const topicSelectionArea = document.getElementById('topic-selection-area');
+            topicFiles = files;
 
             console.log('[DEBUG] Creating buttons for', files.length, 'topics');
 
-            // Create a button for each file
-            files.forEach((file, index) => {
-                console.log(`[DEBUG] Creating button ${index + 1}:`, file.filename);
-                // Create a new button element
-                const button = document.createElement('button');
-
+            topics = files.map(file => ({
+                source: `./data/${file.filename}`,
                 // Clean the filename for display (remove .json suffix)
-                const displayName = file.filename.replace('.json', '').replace(/_/g, ' ');
-
-                // Set the button text with filename and number of entries
-                button.textContent = `${displayName} (${file.total_entries} ערכים)`;
+                name: file.filename.replace('.json', '').replace(/_/g, ' '),
+                description: file.description || '',
+                category: file.category || '',
+                grade: file.grade || '',
+                totalEntries: file.total_entries
+            }));
 
-                // Store the full path to the data file as a data attribute
-                button.dataset.filePath = `./data/${file.filename}`;
+            // Generated decks (multiplication, rounding, analogies)
+            if (typeof MemoryGameDecks !== 'undefined') {
+                MemoryGameDecks.getBuiltInDecks().forEach(deck => topics.push(createDeckTopic(deck)));
+            }
+            topics.push(...getCustomTopics());
 
-                // Add click event listener to the button
-                button.addEventListener('click', function() {
-                    startGame(button.dataset.filePath);
-                });
+            renderTopicBrowser();
 
-                // Append the button to the topic selection area
-                topicSelectionArea.appendChild(button);
-            });
+            // Jump straight into the game a link points to
+            startLinkedGame(false);
 
         } catch (error) {
             console.error('Error loading topics:', error);
@@ -65,16 +189,827 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
-    // Start the game with the selected topic
-    function startGame(filePath) {
-        console.log('Loading game from:', filePath);
+    // Topic browser entry of a deck provider
+    function createDeckTopic(deck) {
+        return {
+            source: deck,
+            name: deck.name,
+            description: deck.description || '',
+            category: deck.category || '',
+            grade: '',
+            totalEntries: deck.totalEntries || null
+        };
+    }
+
+    // Topics saved on this device with "create my own topic"
+    function getCustomTopics() {
+        if (typeof MemoryGameCustomTopics === 'undefined') return [];
+
+        return MemoryGameCustomTopics.getCustomTopicDecks().map(deck => ({ ...createDeckTopic(deck), custom: true }));
+    }
+
+    // List the custom topics again after one was saved or deleted
+    function refreshCustomTopics() {
+        topics = topics.filter(topic => !topic.custom).concat(getCustomTopics());
+        renderTopics();
+    }
+
+    // Generated decks and custom topics, which links name by their key
+    function getDeckProviders() {
+        const decks = typeof MemoryGameDecks !== 'undefined' ? MemoryGameDecks.getBuiltInDecks() : [];
+        const custom = typeof MemoryGameCustomTopics !== 'undefined' ? MemoryGameCustomTopics.getCustomTopicDecks() : [];
+        return decks.concat(custom);
+    }
+
+    // Search box and grouping picker above the topics
+    function renderTopicBrowser() {
+        const searchInput = document.getElementById('topic-search');
+        const groupingSelect = document.getElementById('topic-grouping-select');
+
+        if (groupingSelect && groupingSelect.options.length === 0) {
+            Object.entries(TOPIC_GROUPINGS).forEach(([key, grouping]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = grouping.label;
+                groupingSelect.appendChild(option);
+            });
+
+            const saved = localStorage.getItem(TOPIC_GROUPING_STORAGE_KEY);
+            groupingSelect.value = saved && TOPIC_GROUPINGS[saved] ? saved : 'category';
+
+            groupingSelect.addEventListener('change', function() {
+                localStorage.setItem(TOPIC_GROUPING_STORAGE_KEY, groupingSelect.value);
+                renderTopics();
+            });
+        }
+        if (searchInput) {
+            searchInput.addEventListener('input', renderTopics);
+        }
+
+        renderTopics();
+    }
+
+    // Show the topics matching the search, in one section per category or grade
+    function renderTopics() {
+        const topicSelectionArea = document.getElementById('topic-selection-area');
+        const searchInput = document.getElementById('topic-search');
+        const groupingSelect = document.getElementById('topic-grouping-select');
+        const query = searchInput ? searchInput.value.trim().toLowerCase() : '';
+        const groupBy = groupingSelect && TOPIC_GROUPINGS[groupingSelect.value] ? groupingSelect.value : 'category';
+
+        const matching = topics.filter(topic => {
+            const text = [topic.name, topic.description, topic.category, topic.grade].join(' ').toLowerCase();
+            return text.includes(query);
+        });
+
+        topicSelectionArea.innerHTML = '';
+        if (matching.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'topic-empty';
+            empty.textContent = 'לא נמצאו נושאים מתאימים';
+            topicSelectionArea.appendChild(empty);
+            return;
+        }
+
+        // Sections in order of first appearance, topics without a value last
+        const sections = new Map();
+        matching.forEach(topic => {
+            const title = topic[groupBy] || TOPIC_GROUPINGS[groupBy].empty;
+            if (!sections.has(title)) {
+                sections.set(title, []);
+            }
+            sections.get(title).push(topic);
+        });
+        const emptyTitle = TOPIC_GROUPINGS[groupBy].empty;
+        if (sections.has(emptyTitle)) {
+            const untitled = sections.get(emptyTitle);
+            sections.delete(emptyTitle);
+            sections.set(emptyTitle, untitled);
+        }
+
+        sections.forEach((sectionTopics, title) => {
+            const section = document.createElement('section');
+            section.className = 'topic-section';
+
+            const heading = document.createElement('h2');
+            heading.textContent = groupBy === 'grade' && title !== emptyTitle ? `כיתות ${title}` : title;
+            section.appendChild(heading);
+
+            const buttons = document.createElement('div');
+            buttons.className = 'topic-buttons';
+            sectionTopics.forEach(topic => buttons.appendChild(createTopicButton(topic)));
+            section.appendChild(buttons);
+
+            topicSelectionArea.appendChild(section);
+        });
+    }
+
+    // A topic button: name, number of entries and description
+    function createTopicButton(topic) {
+        const button = document.createElement('button');
+        button.className = 'topic-button';
+
+        const name = document.createElement('span');
+        name.className = 'topic-name';
+        name.textContent = topic.totalEntries ? `${topic.name} (${topic.totalEntries} ערכים)` : topic.name;
+        button.appendChild(name);
+
+        if (topic.description) {
+            const description = document.createElement('span');
+            description.className = 'topic-description';
+            description.textContent = topic.description;
+            button.appendChild(description);
+        }
+
+        button.appendChild(createTopicProgress(topic));
+
+        if (typeof topic.source === 'string') {
+            button.dataset.filePath = topic.source;
+        } else {
+            button.dataset.deckKey = topic.source.key;
+        }
+
+        button.addEventListener('click', function() {
+            showTopicPreview(topic);
+        });
+        return button;
+    }
+
+    // Mastery indicator of a topic: entries matched on the first try, last played date and best results
+    function createTopicProgress(topic) {
+        const container = document.createElement('span');
+        container.className = 'topic-progress';
+        if (typeof MemoryGame === 'undefined') return container;
+
+        const progress = MemoryGame.getTopicProgress(topic.source);
+        if (!progress.lastPlayed) {
+            container.dataset.level = 'new';
+            container.textContent = 'עוד לא שוחק';
+            return container;
+        }
+
+        // Generated decks don't know their size before loading, count the entries played
+        const total = Math.max(topic.totalEntries || 0, progress.itemsPlayed);
+        const counted = topic.totalEntries ? '' : 'ששוחקו ';
+        const share = progress.firstTryItems / total;
+        container.dataset.level = share >= MASTERED_SHARE ? 'mastered' : 'learning';
+
+        const bar = document.createElement('span');
+        bar.className = 'topic-mastery-bar';
+        const fill = document.createElement('span');
+        fill.style.width = `${Math.round(share * 100)}%`;
+        bar.appendChild(fill);
+        container.appendChild(bar);
+
+        const lines = [
+            `${share >= MASTERED_SHARE ? '🌟' : '✓'} ${progress.firstTryItems} מתוך ${total} ${counted}הותאמו בניסיון הראשון`,
+            `שוחק לאחרונה: ${new Date(progress.lastPlayed).toLocaleDateString('he-IL')}`
+        ];
+        progress.bestResults.forEach(({ mode, groups, groupSize, result }) => {
+            const board = `${groups} ${MemoryGame.getGroupLabel(groupSize)}`;
+            const text = mode === 'timed' ? `נשארו ${result} שניות` : `${result} היפוכים`;
+            lines.push(`שיא ${MemoryGame.gameModes[mode].label} (${board}): ${text}`);
+        });
+
+        lines.forEach(line => {
+            const item = document.createElement('span');
+            item.className = 'topic-progress-line';
+            item.textContent = line;
+            container.appendChild(item);
+        });
+        return container;
+    }
+
+    // Show a few sample words of a topic, with a button to start playing it
+    async function showTopicPreview(topic) {
+        const preview = document.getElementById('topic-preview');
+        if (!preview || typeof MemoryGame === 'undefined') {
+            startGame(topic.source);
+            return;
+        }
+
+        preview.innerHTML = '';
+        const title = document.createElement('h2');
+        title.textContent = topic.name;
+        preview.appendChild(title);
+
+        if (topic.description) {
+            const description = document.createElement('p');
+            description.textContent = topic.description;
+            preview.appendChild(description);
+        }
+
+        const samples = document.createElement('div');
+        samples.className = 'topic-preview-samples';
+        samples.textContent = 'טוען דוגמאות...';
+        preview.appendChild(samples);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'topic-preview-buttons';
+        const startButton = document.createElement('button');
+        startButton.className = 'topic-preview-start';
+        startButton.textContent = 'התחל לשחק';
+        startButton.addEventListener('click', function() {
+            hideTopicPreview();
+            startGame(topic.source);
+        });
+        const closeButton = document.createElement('button');
+        closeButton.className = 'topic-preview-close';
+        closeButton.textContent = 'בחר נושא אחר';
+        closeButton.addEventListener('click', hideTopicPreview);
+        buttons.appendChild(startButton);
+        buttons.appendChild(closeButton);
+        if (topic.custom) {
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'topic-preview-delete';
+            deleteButton.textContent = 'מחק נושא';
+            deleteButton.addEventListener('click', function() {
+                if (!confirm(`למחוק את הנושא "${topic.name}"?`)) return;
+                MemoryGameCustomTopics.deleteCustomTopic(topic.source.key);
+                hideTopicPreview();
+                refreshCustomTopics();
+            });
+            buttons.appendChild(deleteButton);
+        }
+        preview.appendChild(buttons);
+
+        preview.style.display = 'block';
+        preview.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        startButton.focus();
+
+        try {
+            const list = await MemoryGame.createTopicPreview(topic.source);
+            samples.textContent = 'לדוגמה:';
+            samples.appendChild(list);
+        } catch (error) {
+            console.error('Error loading topic preview:', error);
+            samples.textContent = 'לא ניתן להציג דוגמאות לנושא הזה';
+        }
+    }
+
+    function hideTopicPreview() {
+        const preview = document.getElementById('topic-preview');
+        if (preview) {
+            preview.style.display = 'none';
+            preview.innerHTML = '';
+        }
+    }
+
+    // "Create my own topic": a parent pastes or uploads CSV, one entry per row,
+    // read like the data folder's csv_to_json_multiple.py and saved on this device
+    function renderCustomTopicEditor() {
+        const openButton = document.getElementById('create-topic-button');
+        const editor = document.getElementById('custom-topic-editor');
+        if (!openButton || !editor || typeof MemoryGameCustomTopics === 'undefined') {
+            if (openButton) openButton.style.display = 'none';
+            return;
+        }
+
+        const nameInput = document.getElementById('custom-topic-name');
+        const descriptionInput = document.getElementById('custom-topic-description');
+        const csvInput = document.getElementById('custom-topic-csv');
+        const fileInput = document.getElementById('custom-topic-file');
+        const minSelect = document.getElementById('custom-topic-min');
+        const report = document.getElementById('custom-topic-report');
+        let sourceName = '';
+
+        const readTopicData = () => MemoryGameCustomTopics.csvToTopicData(csvInput.value, {
+            minAlternatives: parseInt(minSelect.value, 10),
+            sourceName
+        });
+
+        // Valid entries and the rows that were left out
+        const updateReport = () => {
+            report.innerHTML = '';
+            if (!csvInput.value.trim()) return;
+
+            const data = readTopicData();
+            const summary = document.createElement('p');
+            summary.textContent = `נמצאו ${data.entries.length} ערכים תקינים`;
+            report.appendChild(summary);
+
+            if (data.invalid_rows) {
+                const title = document.createElement('p');
+                title.textContent = `שורות שלא נקלטו (צריך לפחות ${minSelect.value} מילים בשורה):`;
+                const list = document.createElement('ul');
+                data.invalid_rows.details.forEach(row => {
+                    const item = document.createElement('li');
+                    item.textContent = `שורה ${row.row_number}: ${row.content.join(', ')}`;
+                    list.appendChild(item);
+                });
+                report.appendChild(title);
+                report.appendChild(list);
+            }
+        };
+
+        const showError = (message) => {
+            updateReport();
+            const error = document.createElement('p');
+            error.className = 'custom-topic-error';
+            error.textContent = message;
+            report.prepend(error);
+        };
+
+        const closeEditor = () => {
+            editor.style.display = 'none';
+            nameInput.value = '';
+            descriptionInput.value = '';
+            csvInput.value = '';
+            fileInput.value = '';
+            sourceName = '';
+            report.innerHTML = '';
+        };
+
+        openButton.addEventListener('click', function() {
+            hideTopicPreview();
+            editor.style.display = 'block';
+            nameInput.focus();
+        });
+
+        fileInput.addEventListener('change', async function() {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            try {
+                csvInput.value = await file.text();
+                sourceName = file.name;
+                if (!nameInput.value.trim()) {
+                    nameInput.value = file.name.replace(/\.[^.]+$/, '').replace(/_/g, ' ');
+                }
+                updateReport();
+            } catch (error) {
+                console.error('Error reading topic file:', error);
+                showError('לא ניתן לקרוא את הקובץ');
+            }
+        });
+        csvInput.addEventListener('input', updateReport);
+        minSelect.addEventListener('change', updateReport);
+
+        document.getElementById('custom-topic-save').addEventListener('click', function() {
+            const name = nameInput.value.trim();
+            const data = readTopicData();
+
+            if (!name) {
+                showError('יש לתת שם לנושא');
+                return;
+            }
+            if (data.entries.length < 2) {
+                showError('צריך לפחות 2 שורות תקינות כדי לשחק');
+                return;
+            }
+
+            const key = MemoryGameCustomTopics.getCustomTopicKey(name);
+            const exists = MemoryGameCustomTopics.loadCustomTopics().some(topic => topic.key === key);
+            if (exists && !confirm(`כבר יש נושא בשם "${name}". להחליף אותו?`)) {
+                return;
+            }
+
+            const saved = MemoryGameCustomTopics.saveCustomTopic({ name, description: descriptionInput.value, data });
+            if (!saved) {
+                showError('שמירת הנושא נכשלה, ייתכן שאין מספיק מקום בדפדפן');
+                return;
+            }
+
+            closeEditor();
+            refreshCustomTopics();
+            const topic = topics.find(t => t.custom && t.source.key === saved.key);
+            if (topic) {
+                showTopicPreview(topic);
+            }
+        });
+        document.getElementById('custom-topic-cancel').addEventListener('click', closeEditor);
+    }
+
+    // Share topics between devices: export to and import from a topic pack file
+    function renderTopicPackTools() {
+        const exportButton = document.getElementById('export-topics-button');
+        const importButton = document.getElementById('import-topics-button');
+        const importInput = document.getElementById('import-topics-file');
+        if (!exportButton || !importButton || !importInput || typeof MemoryGameCustomTopics === 'undefined') {
+            [exportButton, importButton].forEach(button => {
+                if (button) button.style.display = 'none';
+            });
+            return;
+        }
+
+        exportButton.addEventListener('click', showExportPanel);
+        importButton.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async function() {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (!file) return;
+
+            let pack;
+            try {
+                pack = JSON.parse(await file.text());
+            } catch (error) {
+                console.error('Error reading topic pack:', error);
+                pack = null;
+            }
+            showImportPanel(pack);
+        });
+    }
+
+    // Open the topic pack panel with a title, replacing what it showed before
+    function openTopicPackPanel(titleText) {
+        const panel = document.getElementById('topic-pack-panel');
+        hideTopicPreview();
+        panel.innerHTML = '';
+
+        const title = document.createElement('h2');
+        title.textContent = titleText;
+        panel.appendChild(title);
+        panel.style.display = 'block';
+        panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        return panel;
+    }
+
+    function hideTopicPackPanel() {
+        const panel = document.getElementById('topic-pack-panel');
+        if (panel) {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+        }
+    }
+
+    // A row of panel buttons; the last one closes the panel
+    function createPanelButtons(buttons) {
+        const container = document.createElement('div');
+        container.className = 'topic-preview-buttons';
+        buttons.forEach(([text, onClick]) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            container.appendChild(button);
+        });
+        container.lastChild.className = 'topic-preview-close';
+        return container;
+    }
+
+    // Pick topics (custom topics and data files) and download them as a pack
+    function showExportPanel() {
+        const panel = openTopicPackPanel('ייצוא נושאים');
+        const exportable = topics.filter(topic => topic.custom || typeof topic.source === 'string');
+
+        const list = document.createElement('div');
+        list.className = 'topic-pack-list';
+        exportable.forEach(topic => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = Boolean(topic.custom);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${topic.name}`));
+            list.appendChild(label);
+        });
+        panel.appendChild(list);
+
+        const status = document.createElement('p');
+        panel.appendChild(status);
+
+        panel.appendChild(createPanelButtons([
+            ['הורד קובץ', async function() {
+                const selected = exportable.filter((topic, i) => list.children[i].querySelector('input').checked);
+                if (selected.length === 0) {
+                    status.textContent = 'יש לבחור לפחות נושא אחד';
+                    return;
+                }
+
+                try {
+                    const packTopics = [];
+                    for (const topic of selected) {
+                        const { jsonData } = await MemoryGame.loadDeckData(topic.source);
+                        packTopics.push({ name: topic.name, description: topic.description, data: jsonData });
+                    }
+                    const fileName = selected.length === 1 ? selected[0].name : 'נושאים';
+                    downloadJson(MemoryGameCustomTopics.createTopicPack(packTopics), `${fileName.replace(/\s+/g, '_')}.json`);
+                    status.textContent = `ירדו ${selected.length} נושאים`;
+                } catch (error) {
+                    console.error('Error exporting topics:', error);
+                    status.textContent = 'הייצוא נכשל';
+                }
+            }],
+            ['סגור', hideTopicPackPanel]
+        ]));
+    }
+
+    // Save data as a JSON file download
+    function downloadJson(data, fileName) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // Show what a pack holds: invalid topics, and name conflicts to resolve before importing
+    function showImportPanel(pack) {
+        const panel = openTopicPackPanel('ייבוא נושאים');
+        const customNames = topics.filter(topic => topic.custom).map(topic => topic.name);
+        const otherNames = topics.filter(topic => !topic.custom).map(topic => topic.name);
+        const { errors, topics: packTopics } = MemoryGameCustomTopics.readTopicPack(pack, {
+            custom: customNames,
+            other: otherNames
+        });
+
+        if (!pack || errors.length > 0) {
+            const error = document.createElement('p');
+            error.className = 'custom-topic-error';
+            error.textContent = pack ? errors.join(', ') : 'הקובץ אינו קובץ JSON תקין';
+            panel.appendChild(error);
+            panel.appendChild(createPanelButtons([['סגור', hideTopicPackPanel]]));
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'topic-pack-list';
+        const choices = packTopics.map(topic => {
+            const item = document.createElement('li');
+            const entries = topic.data && (topic.data.pairs || topic.data.entries);
+            item.textContent = entries ? `${topic.name} (${entries.length} ערכים)` : topic.name;
+            list.appendChild(item);
+
+            if (topic.errors.length > 0) {
+                const problems = document.createElement('div');
+                problems.className = 'custom-topic-error';
+                const shown = topic.errors.slice(0, 3).join(', ');
+                const more = topic.errors.length > 3 ? ` ועוד ${topic.errors.length - 3}` : '';
+                problems.textContent = `לא ייובא: ${shown}${more}`;
+                item.appendChild(problems);
+                return null;
+            }
+            if (!topic.conflict) {
+                return { topic, select: null };
+            }
+
+            // Name taken: import under another name, replace the saved topic, or skip
+            const conflict = document.createElement('div');
+            conflict.className = 'topic-pack-conflict';
+            conflict.textContent = topic.conflict === 'custom'
+                ? 'כבר שמור נושא בשם הזה: '
+                : 'כבר יש ברשימה נושא בשם הזה: ';
+            const select = document.createElement('select');
+            const options = [['rename', `לייבא בשם "${MemoryGameCustomTopics.getFreeTopicName(topic.name, customNames.concat(otherNames))}"`]];
+            if (topic.conflict === 'custom') {
+                options.push(['replace', 'להחליף את הנושא השמור']);
+            }
+            options.push(['skip', 'לדלג']);
+            options.forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            conflict.appendChild(select);
+            item.appendChild(conflict);
+            return { topic, select };
+        }).filter(Boolean);
+        panel.appendChild(list);
+
+        const status = document.createElement('p');
+        panel.appendChild(status);
+
+        const importButtons = createPanelButtons([
+            ['ייבא', function() {
+                const taken = customNames.concat(otherNames);
+                const importedNames = [];
+                let imported = 0;
+                let failed = 0;
+
+                choices.forEach(({ topic, select }) => {
+                    const choice = select ? select.value : 'rename';
+                    if (choice === 'skip') return;
+
+                    // Topics of the pack with the same name don't replace each other
+                    const name = choice === 'replace' && !importedNames.includes(topic.name)
+                        ? topic.name
+                        : MemoryGameCustomTopics.getFreeTopicName(topic.name, taken);
+                    taken.push(name);
+                    importedNames.push(name);
+
+                    const saved = MemoryGameCustomTopics.saveCustomTopic({
+                        name,
+                        description: topic.description,
+                        data: topic.data
+                    });
+                    if (saved) {
+                        imported++;
+                    } else {
+                        failed++;
+                    }
+                });
+
+                refreshCustomTopics();
+                status.textContent = failed > 0
+                    ? `יובאו ${imported} נושאים, ${failed} לא נשמרו (ייתכן שאין מספיק מקום בדפדפן)`
+                    : `יובאו ${imported} נושאים`;
+                importButtons.firstChild.disabled = true;
+            }],
+            ['סגור', hideTopicPackPanel]
+        ]);
+        if (choices.length === 0) {
+            importButtons.firstChild.disabled = true;
+        }
+        panel.appendChild(importButtons);
+    }
+
+    // Read the settings chosen in the pickers
+    function readSettings() {
+        const valueOf = id => {
+            const select = document.getElementById(id);
+            return select && select.value ? select.value : null;
+        };
+
+        return {
+            difficulty: valueOf('difficulty-select'),
+            pairs: null,
+            mode: valueOf('mode-select'),
+            group: valueOf('group-select')
+        };
+    }
+
+    // Start the game with the selected topic (a data file path or a deck provider)
+    // Games started from the topic list get their own address, so "back" returns here
+    function startGame(source, settings = readSettings(), updateUrl = true) {
+        console.log('Loading game from:', typeof source === 'string' ? source : source.key);
 
         // Initialize the memory game with the selected data file
         if (typeof MemoryGame !== 'undefined') {
-            MemoryGame.init(filePath);
+            if (settings.pairs) {
+                const level = MemoryGame.difficultyLevels[settings.difficulty];
+                MemoryGame.setDifficulty({
+                    totalPairs: settings.pairs,
+                    mismatchDelay: level ? level.mismatchDelay : undefined
+                });
+            } else if (settings.difficulty) {
+                MemoryGame.setDifficulty(settings.difficulty);
+            }
+            if (settings.mode) {
+                MemoryGame.setMode(settings.mode);
+            }
+            if (settings.group) {
+                MemoryGame.setGroupSize(settings.group);
+            }
+            // Players must be set before the board is set up
+            MemoryGame.setPlayers(getPlayerNames());
+            MemoryGame.init(source);
+
+            if (updateUrl) {
+                history.pushState({ fromTopicList: true }, '', buildGameUrl(source, settings));
+            }
         } else {
             console.error('MemoryGame engine not loaded');
             alert('שגיאה בטעינת מנוע המשחק');
         }
     }
+
+    // Name of a topic in links: the file name without .json, or the deck key
+    function getTopicLinkName(source) {
+        return typeof source === 'string' ? source.split('/').pop().replace('.json', '') : source.key;
+    }
+
+    // Address of a game, e.g. memory_game.html?topic=הפכים&difficulty=easy&mode=timed
+    function buildGameUrl(source, settings) {
+        const params = new URLSearchParams();
+        params.set('topic', getTopicLinkName(source));
+        if (settings.pairs) {
+            params.set('pairs', settings.pairs);
+        } else if (settings.difficulty) {
+            params.set('difficulty', settings.difficulty);
+        }
+        if (settings.mode) {
+            params.set('mode', settings.mode);
+        }
+        if (settings.group && settings.group !== '2') {
+            params.set('group', settings.group);
+        }
+        return `${window.location.pathname}?${params.toString()}`;
+    }
+
+    // Read a game link (?topic=&pairs=&difficulty=&mode=&group=)
+    // Returns { source, settings, errors }; source is null when the link has no valid topic
+    function parseGameLink(search) {
+        const params = new URLSearchParams(search);
+        const errors = [];
+        const topic = (params.get('topic') || '').trim();
+        if (!topic) {
+            return { source: null, settings: null, errors };
+        }
+
+        // Topic: a file of topic_index.json (spaces or underscores), or a generated deck
+        const fileName = `${topic.replace(/ /g, '_')}.json`;
+        const file = topicFiles.find(f => f.filename === fileName || f.filename === topic);
+        const deck = getDeckProviders().find(d => d.key === topic);
+        const source = file ? `./data/${file.filename}` : deck || null;
+        if (!source) {
+            errors.push(`נושא לא מוכר: ${topic}`);
+        }
+
+        const settings = readSettings();
+
+        const difficulty = params.get('difficulty');
+        if (difficulty) {
+            if (MemoryGame.difficultyLevels[difficulty]) {
+                settings.difficulty = difficulty;
+            } else {
+                errors.push(`רמת קושי לא מוכרת: ${difficulty}`);
+            }
+        }
+
+        const pairs = params.get('pairs');
+        if (pairs) {
+            const largest = Math.max(...Object.values(MemoryGame.difficultyLevels).map(level => level.totalPairs));
+            const known = file ? file.total_entries : deck && deck.totalEntries;
+            const available = known || largest;
+            const count = Number(pairs);
+            if (Number.isInteger(count) && count >= 2 && count <= Math.min(largest, available)) {
+                settings.pairs = count;
+            } else {
+                errors.push(`מספר זוגות לא תקין: ${pairs} (2-${Math.min(largest, available)})`);
+            }
+        }
+
+        const mode = params.get('mode');
+        if (mode) {
+            if (MemoryGame.gameModes[mode]) {
+                settings.mode = mode;
+            } else {
+                errors.push(`מצב משחק לא מוכר: ${mode}`);
+            }
+        }
+
+        const group = params.get('group');
+        if (group) {
+            if (MemoryGame.groupSizes[group]) {
+                settings.group = group;
+            } else {
+                errors.push(`גודל קבוצה לא נתמך: ${group}`);
+            }
+        }
+
+        return { source, settings, errors };
+    }
+
+    // Start the game of the current address, if it links to one
+    // An invalid link shows the topic list with a note about what was wrong
+    function startLinkedGame(fromHistory) {
+        if (typeof MemoryGame === 'undefined') return;
+
+        const { source, settings, errors } = parseGameLink(window.location.search);
+        showLinkErrors(errors);
+
+        if (!source || errors.length > 0) {
+            if (fromHistory) {
+                MemoryGame.changeTopic();
+            }
+            return;
+        }
+
+        startGame(source, settings, false);
+    }
+
+    // Tell the user why a link couldn't be followed (as given)
+    function showLinkErrors(errors) {
+        let notice = document.getElementById('link-errors');
+        if (errors.length === 0) {
+            if (notice) notice.remove();
+            return;
+        }
+
+        console.warn('Invalid game link:', errors);
+        if (!notice) {
+            notice = document.createElement('p');
+            notice.id = 'link-errors';
+            notice.style.color = 'red';
+            const topicSelectionArea = document.getElementById('topic-selection-area');
+            topicSelectionArea.parentNode.insertBefore(notice, topicSelectionArea);
+        }
+        notice.textContent = `הקישור אינו תקין - ${errors.join(', ')}`;
+    }
+
+    // Back / forward between the topic list and a game
+    window.addEventListener('popstate', function() {
+        startLinkedGame(true);
+    });
+
+    // "Change topic" in the game: leave the game's address too
+    document.addEventListener('memorygame:changetopic', function() {
+        // The game that just ended may have changed the topic's progress
+        if (topics.length > 0) {
+            renderTopics();
+        }
+
+        if (!new URLSearchParams(window.location.search).has('topic')) return;
+
+        if (history.state && history.state.fromTopicList) {
+            history.back();
+        } else {
+            // Opened from a link: there is no topic list entry to go back to
+            history.replaceState(null, '', window.location.pathname);
+        }
+    });
 });
@@ -0,0 +1,190 @@
+/**
+ * Unit Tests for the Common Library Audio
+ * Tests the sound settings, sound registry and note sequencer exported by common/index.js;
+ * melodies are played into a fake audio context that records what was scheduled
+ *
+ * To run: Include this file in test-runner.html
+ */
+
+// Make function available globally for the test runner
+window.runAudioTests = function() {
+    if (typeof CommonLibrary === 'undefined') {
+        console.log('Common library not loaded, skipping audio tests');
+        return;
+    }
+
+    const {
+        getSoundSettings, setMuted, toggleMuted, isMuted, setMasterVolume,
+        setCategoryVolume, getSoundVolume, onSoundSettingsChange, createSoundToggle,
+        noteToFrequency, durationToSeconds, playNoteSequence,
+        registerSound, hasSound, getSoundNames, playSound, DEFAULT_SOUNDS
+    } = CommonLibrary;
+
+    // Put back the settings of the device running the tests
+    const withSettings = (test) => {
+        const saved = getSoundSettings();
+        try {
+            setMuted(false);
+            setMasterVolume(1);
+            setCategoryVolume('feedback', 1);
+            setCategoryVolume('fanfare', 1);
+            test();
+        } finally {
+            setMuted(saved.muted);
+            setMasterVolume(saved.masterVolume);
+            setCategoryVolume('feedback', saved.volumes.feedback);
+            setCategoryVolume('fanfare', saved.volumes.fanfare);
+        }
+    };
+
+    describe('Sound Settings - Volumes', () => {
+        it('should multiply the master and category volumes', () => withSettings(() => {
+            setMasterVolume(0.5);
+            setCategoryVolume('fanfare', 0.4);
+            setCategoryVolume('feedback', 3);
+
+            expect(getSoundVolume('fanfare')).toBe(0.2);
+            expect(getSoundVolume('feedback')).toBe(0.5);
+        }));
+
+        it('should play nothing while muted and keep the volumes', () => withSettings(() => {
+            setMasterVolume(0.8);
+            expect(toggleMuted()).toBe(true);
+
+            expect(isMuted()).toBeTruthy();
+            expect(getSoundVolume('feedback')).toBe(0);
+            expect(getSoundSettings().masterVolume).toBe(0.8);
+        }));
+
+        it('should save the settings and notify listeners', () => withSettings(() => {
+            const changes = [];
+            const unsubscribe = onSoundSettingsChange(settings => changes.push(settings.muted));
+
+            setMuted(true);
+            unsubscribe();
+            setMuted(false);
+
+            expect(changes).toEqual([true]);
+            expect(JSON.parse(localStorage.getItem('learnAndPlaySoundSettings')).muted).toBe(false);
+        }));
+    });
+
+    describe('Sound Settings - Toggle', () => {
+        it('should keep every toggle in sync with the settings', () => withSettings(() => {
+            const first = createSoundToggle({ showVolume: true });
+            const second = createSoundToggle();
+
+            first.querySelector('.sound-toggle').click();
+
+            const secondButton = second.querySelector('.sound-toggle');
+            expect(isMuted()).toBeTruthy();
+            expect(secondButton.getAttribute('aria-pressed')).toBe('true');
+            expect(secondButton.textContent).toBe('🔇');
+            expect(first.querySelector('.sound-volume').disabled).toBeTruthy();
+            expect(second.querySelector('.sound-volume')).toBe(null);
+
+            first.destroy();
+            second.destroy();
+        }));
+
+        it('should stop following the settings once destroyed', () => withSettings(() => {
+            const toggle = createSoundToggle();
+            const button = toggle.querySelector('.sound-toggle');
+
+            toggle.destroy();
+            setMuted(true);
+
+            expect(button.getAttribute('aria-pressed')).toBe('false');
+            expect(button.textContent).toBe('🔊');
+        }));
+    });
+
+    // Audio context that records the notes played: { frequency, start, stop, peak }
+    const createRecordingContext = () => {
+        const notes = [];
+        const createParam = () => ({
+            events: [],
+            setValueAtTime(value, time) { this.events.push(['set', value, time]); },
+            linearRampToValueAtTime(value, time) { this.events.push(['ramp', value, time]); },
+            setTargetAtTime(value, time) { this.events.push(['target', value, time]); }
+        });
+
+        return {
+            notes,
+            currentTime: 10,
+            destination: {},
+            createGain() {
+                return { gain: createParam(), connect() {} };
+            },
+            createOscillator() {
+                const note = { frequency: createParam() };
+                notes.push(note);
+                return {
+                    frequency: note.frequency,
+                    connect(gainNode) { note.gain = gainNode.gain; },
+                    start(time) { note.start = time; },
+                    stop(time) { note.stop = time; }
+                };
+            }
+        };
+    };
+
+    describe('Audio - Note Sequencer', () => {
+        it('should convert note names and durations', () => {
+            expect(noteToFrequency('A4')).toBe(440);
+            expect(Math.round(noteToFrequency('C5') * 100)).toBe(52325);
+            expect(noteToFrequency('F#4')).toBe(noteToFrequency('Gb4'));
+            expect(durationToSeconds('8n')).toBe(0.25);
+            expect(durationToSeconds('8n.')).toBe(0.375);
+            expect(durationToSeconds('4n', 60)).toBe(1);
+            expect(() => noteToFrequency('H2')).toThrow();
+        });
+
+        it('should cut a note off when the next one starts', () => {
+            const context = createRecordingContext();
+            const end = playNoteSequence(context, {
+                envelope: { attack: 0.01, decay: 0.2, sustain: 0.2, release: 0.2 },
+                volume: 0.5,
+                notes: [
+                    { note: 'E5', duration: '8n', time: 0.15 },
+                    { note: 'C5', duration: '8n', time: 0 }
+                ]
+            });
+
+            const [first, second] = context.notes;
+            expect(first.start).toBe(10);
+            expect(Math.round(first.stop * 100)).toBe(1016);
+            expect(second.start).toBe(10.15);
+            expect(Math.round(end * 100)).toBe(1060);
+            expect(second.stop).toBe(end);
+            expect(second.gain.events[1]).toEqual(['ramp', 0.5, 10.16]);
+        });
+    });
+
+    describe('Audio - Sound Registry', () => {
+        it('should register the default sound pack', () => {
+            ['success', 'error', 'victory', 'gameOver', 'cardFlip', 'warningTick',
+                'bombExplosion', 'chaserStep', 'hint'].forEach(name => {
+                expect(hasSound(name)).toBeTruthy();
+            });
+            expect(getSoundNames()).toEqual(Object.keys(DEFAULT_SOUNDS));
+        });
+
+        it('should only register cues with notes or a file', () => {
+            expect(registerSound('testEmpty', { category: 'feedback' })).toBeFalsy();
+            expect(registerSound('testCategory', { category: 'music', notes: [] })).toBeFalsy();
+            expect(hasSound('testEmpty')).toBeFalsy();
+            expect(hasSound('testCategory')).toBeFalsy();
+        });
+
+        it('should not play unknown cues or cues of a silent category', () => withSettings(() => {
+            expect(playSound('testMissing')).toBeFalsy();
+
+            setCategoryVolume('feedback', 0);
+            expect(playSound('cardFlip')).toBeFalsy();
+
+            setMuted(true);
+            expect(playSound('victory')).toBeFalsy();
+        }));
+    });
+};
@@ -0,0 +1,242 @@
+/**
+ * Unit Tests for the Memory Game Core
+ * Tests the headless game rules without any DOM
+ *
+ * To run: Include this file in test-runner.html
+ */
+
+// Make function available globally for the test runner
+window.runMemoryGameCoreTests = function() {
+    if (typeof MemoryGameCore === 'undefined') {
+        console.log('MemoryGameCore not loaded, skipping core tests');
+        return;
+    }
+
+    // Keep the dealt order predictable: no shuffling
+    const createCore = () => new MemoryGameCore({ shuffle: (array) => array });
+    const PAIRS = [['גדול', 'ענק'], ['שמח', 'עליז'], ['מהיר', 'זריז']];
+
+    // Find the id of the card showing a word
+    const idOf = (core, word) => core.cards.find(card => card.word === word).id;
+
+    describe('Memory Game Core - Dealing', () => {
+        it('should deal two hidden cards per pair', () => {
+            const core = createCore();
+            const cards = core.deal(PAIRS);
+
+            expect(cards.length).toBe(6);
+            expect(core.totalGroups).toBe(3);
+            expect(cards.every(card => card.state === 'hidden')).toBeTruthy();
+        });
+
+        it('should emit a deal event', () => {
+            const core = createCore();
+            let dealt = null;
+            core.on('deal', ({ cards }) => { dealt = cards; });
+
+            core.deal(PAIRS);
+            expect(dealt.length).toBe(6);
+        });
+    });
+
+    describe('Memory Game Core - Matching', () => {
+        it('should match two synonyms and report the entry key', () => {
+            const core = createCore();
+            core.deal(PAIRS, ['entry-1']);
+            let match = null;
+            core.on('match', event => { match = event; });
+
+            core.flip(idOf(core, 'גדול'));
+            core.flip(idOf(core, 'ענק'));
+
+            expect(match.groupKey).toBe('entry-1');
+            expect(match.flips).toBe(2);
+            expect(core.groupsFound).toBe(1);
+            expect(core.locked).toBeFalsy();
+        });
+
+        it('should match by the dealt group, not by the word', () => {
+            const core = createCore();
+            core.deal([['אוהב', 'שונא'], ['אויב', 'שונא']]);
+            const [hater, otherHater] = core.cards.filter(card => card.word === 'שונא');
+            let matched = 0;
+            core.on('match', () => { matched++; });
+
+            // Each "שונא" card only matches the partner it was dealt with
+            core.flip(idOf(core, 'אוהב'));
+            core.flip(otherHater.id);
+            expect(matched).toBe(0);
+            core.resolveMismatch();
+
+            core.flip(idOf(core, 'אוהב'));
+            core.flip(hater.id);
+            expect(matched).toBe(1);
+        });
+
+        it('should lock the board on a mismatch until it is resolved', () => {
+            const core = createCore();
+            core.deal(PAIRS);
+            let unflipped = null;
+            core.on('unflip', ({ cards }) => { unflipped = cards; });
+
+            core.flip(idOf(core, 'גדול'));
+            core.flip(idOf(core, 'שמח'));
+            expect(core.locked).toBeTruthy();
+            expect(core.flip(idOf(core, 'מהיר'))).toBeFalsy();
+
+            core.resolveMismatch();
+            expect(unflipped.length).toBe(2);
+            expect(core.locked).toBeFalsy();
+            expect(core.getCard(idOf(core, 'גדול')).state).toBe('hidden');
+        });
+
+        it('should not flip the same card twice', () => {
+            const core = createCore();
+            core.deal(PAIRS);
+            const id = idOf(core, 'גדול');
+
+            expect(core.flip(id)).toBeTruthy();
+            expect(core.flip(id)).toBeFalsy();
+            expect(core.flips).toBe(1);
+        });
+
+        it('should win once all pairs are found', () => {
+            const core = createCore();
+            core.deal(PAIRS);
+            let won = false;
+            core.on('win', () => { won = true; });
+
+            PAIRS.forEach(([word, synonym]) => {
+                core.flip(idOf(core, word));
+                core.flip(idOf(core, synonym));
+            });
+
+            expect(won).toBeTruthy();
+            expect(core.isGameOver).toBeTruthy();
+        });
+    });
+
+    describe('Memory Game Core - Synonym Groups', () => {
+        const TRIPLES = [['שמח', 'עליז', 'מאושר'], ['גדול', 'ענק', 'עצום']];
+
+        it('should keep a partial group open until it is complete', () => {
+            const core = createCore();
+            core.deal(TRIPLES);
+            let match = null;
+            core.on('match', event => { match = event; });
+
+            core.flip(idOf(core, 'שמח'));
+            core.flip(idOf(core, 'עליז'));
+            expect(match).toBe(null);
+            expect(core.locked).toBeFalsy();
+
+            core.flip(idOf(core, 'מאושר'));
+            expect(match.cards.length).toBe(3);
+            expect(match.flips).toBe(3);
+            expect(core.groupsFound).toBe(1);
+        });
+
+        it('should mismatch as soon as a card of another group is opened', () => {
+            const core = createCore();
+            core.deal(TRIPLES);
+            let mismatched = null;
+            core.on('mismatch', ({ cards }) => { mismatched = cards; });
+
+            core.flip(idOf(core, 'שמח'));
+            core.flip(idOf(core, 'עליז'));
+            core.flip(idOf(core, 'ענק'));
+
+            expect(mismatched.length).toBe(3);
+            expect(core.locked).toBeTruthy();
+
+            core.resolveMismatch();
+            expect(core.cards.every(card => card.state === 'hidden')).toBeTruthy();
+        });
+    });
+
+    describe('Memory Game Core - Snapshots', () => {
+        it('should restore matched cards, counters and players', () => {
+            const core = createCore();
+            core.setPlayers(['דנה', 'יוסי']);
+            core.deal(PAIRS, ['1', '2', '3']);
+            core.flip(idOf(core, 'גדול'));
+            core.flip(idOf(core, 'ענק'));
+            core.flip(idOf(core, 'שמח'));
+
+            // Survives a round trip through JSON, like localStorage
+            const snapshot = JSON.parse(JSON.stringify(core.getSnapshot()));
+            const restored = createCore();
+            restored.restore(snapshot);
+
+            expect(restored.groupsFound).toBe(1);
+            expect(restored.totalGroups).toBe(3);
+            expect(restored.flips).toBe(3);
+            expect(restored.players[0].score).toBe(1);
+            expect(restored.getCard(idOf(restored, 'גדול')).state).toBe('matched');
+            // The card that was open when the game was saved is face down again
+            expect(restored.getCard(idOf(restored, 'שמח')).state).toBe('hidden');
+        });
+    });
+
+    describe('Memory Game Core - Group Results', () => {
+        it('should report the flips and state of every group', () => {
+            const core = createCore();
+            core.deal(PAIRS, ['1', '2', '3']);
+
+            core.flip(idOf(core, 'גדול'));
+            core.flip(idOf(core, 'שמח'));
+            core.resolveMismatch();
+            core.flip(idOf(core, 'גדול'));
+            core.flip(idOf(core, 'ענק'));
+
+            const [big, happy, fast] = core.getGroupResults();
+            expect(big.words).toEqual(['גדול', 'ענק']);
+            expect(big.found).toBeTruthy();
+            expect(big.flips).toBe(3);
+            expect(happy.found).toBeFalsy();
+            expect(happy.flips).toBe(1);
+            expect(fast.flips).toBe(0);
+        });
+    });
+
+    describe('Memory Game Core - Players and Ending', () => {
+        it('should pass the turn after a mismatch only', () => {
+            const core = createCore();
+            core.setPlayers(['דנה', 'יוסי']);
+            core.deal(PAIRS);
+            const turns = [];
+            core.on('turn', ({ playerIndex }) => turns.push(playerIndex));
+
+            core.flip(idOf(core, 'גדול'));
+            core.flip(idOf(core, 'ענק'));
+            expect(core.players[0].score).toBe(1);
+            expect(turns.length).toBe(0);
+
+            core.flip(idOf(core, 'שמח'));
+            core.flip(idOf(core, 'מהיר'));
+            core.resolveMismatch();
+            expect(turns).toEqual([1]);
+        });
+
+        it('should keep the players but zero their scores on reset', () => {
+            const core = createCore();
+            core.setPlayers(['דנה', 'יוסי']);
+            core.players[0].score = 3;
+
+            core.reset();
+            expect(core.players.length).toBe(2);
+            expect(core.players[0].score).toBe(0);
+        });
+
+        it('should stop accepting flips once the game was ended', () => {
+            const core = createCore();
+            core.deal(PAIRS);
+            let reason = null;
+            core.on('end', event => { reason = event.reason; });
+
+            core.end('timeout');
+            expect(reason).toBe('timeout');
+            expect(core.flip(idOf(core, 'גדול'))).toBeFalsy();
+        });
+    });
+};
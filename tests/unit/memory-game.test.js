@@ -37,8 +37,9 @@ window.runMemoryGameTests = function() {
                 expect(typeof MemoryGame.init).toBe('function');
                 expect(typeof MemoryGame.shuffleArray).toBe('function');
                 expect(typeof MemoryGame.prepareGameData).toBe('function');
-                expect(typeof MemoryGame.checkForMatch).toBe('function');
+                expect(typeof MemoryGame.handleCardClick).toBe('function');
                 expect(typeof MemoryGame.handleMatch).toBe('function');
+                expect(typeof MemoryGame.core.checkForMatch).toBe('function');
                 expect(typeof MemoryGame.playSuccessSound).toBe('function');
             }
         });
@@ -417,6 +418,1028 @@ window.runMemoryGameTests = function() {
         });
     });
 
+    describe('Memory Game - Difficulty Settings', () => {
+        it('should apply preset pair count and mismatch delay', () => {
+            if (!usingRealImplementation) return;
+
+            const settings = MemoryGame.setDifficulty('easy');
+            expect(settings.totalPairs).toBe(MemoryGame.difficultyLevels.easy.totalPairs);
+            expect(settings.mismatchDelay).toBe(MemoryGame.difficultyLevels.easy.mismatchDelay);
+            expect(MemoryGame.settings.totalPairs).toBe(settings.totalPairs);
+
+            MemoryGame.setDifficulty('medium');
+        });
+
+        it('should fall back to the default level for unknown presets', () => {
+            if (!usingRealImplementation) return;
+
+            const settings = MemoryGame.setDifficulty('impossible');
+            expect(settings.totalPairs).toBe(MemoryGame.difficultyLevels.medium.totalPairs);
+        });
+
+        it('should accept custom settings with sane minimums', () => {
+            if (!usingRealImplementation) return;
+
+            const settings = MemoryGame.setDifficulty({ totalPairs: 1, mismatchDelay: -5 });
+            expect(settings.totalPairs).toBe(2);
+            expect(settings.mismatchDelay).toBe(0);
+
+            MemoryGame.setDifficulty('medium');
+        });
+
+        it('should deal only as many pairs as the difficulty allows', () => {
+            if (!usingRealImplementation) return;
+
+            const data = {
+                pairs: Array.from({ length: 30 }, (_, i) => ({ id: i, term1: `a${i}`, term2: `b${i}` }))
+            };
+
+            MemoryGame.setDifficulty('easy');
+            expect(MemoryGame.prepareGameData(data).length).toBe(MemoryGame.difficultyLevels.easy.totalPairs);
+
+            MemoryGame.setDifficulty('expert');
+            expect(MemoryGame.prepareGameData(data).length).toBe(MemoryGame.difficultyLevels.expert.totalPairs);
+
+            MemoryGame.setDifficulty('medium');
+        });
+
+        it('should choose grid columns that fit the card count', () => {
+            if (!usingRealImplementation) return;
+
+            expect(MemoryGame.getGridColumns(12)).toBe(4);
+            expect(MemoryGame.getGridColumns(20)).toBe(5);
+            expect(MemoryGame.getGridColumns(30)).toBe(6);
+            expect(MemoryGame.getGridColumns(40)).toBe(8);
+            expect(MemoryGame.getGridColumns(0)).toBe(1);
+        });
+    });
+
+    describe('Memory Game - Spaced Repetition', () => {
+        const createScheduler = () => {
+            const Scheduler = MemoryGame.scheduler.constructor;
+            const scheduler = new Scheduler({ storageKey: 'memoryGameHistoryTest' });
+            scheduler.reset();
+            return scheduler;
+        };
+
+        it('should promote entries matched with the minimum flips', () => {
+            if (!usingRealImplementation) return;
+
+            const scheduler = createScheduler();
+            scheduler.recordResult('topic.json', '1', 2);
+            scheduler.recordResult('topic.json', '1', 2);
+
+            const item = scheduler.getItem('topic.json', '1');
+            expect(item.box).toBe(3);
+            expect(item.firstTryCount).toBe(2);
+            expect(item.attempts).toEqual([2, 2]);
+            scheduler.reset();
+        });
+
+        it('should send entries that needed many flips back to the first box', () => {
+            if (!usingRealImplementation) return;
+
+            const scheduler = createScheduler();
+            scheduler.recordResult('topic.json', '1', 2);
+            scheduler.recordResult('topic.json', '1', 7);
+
+            expect(scheduler.getItem('topic.json', '1').box).toBe(1);
+            scheduler.reset();
+        });
+
+        it('should put due and weak entries before new and not-yet-due ones', () => {
+            if (!usingRealImplementation) return;
+
+            const scheduler = createScheduler();
+            const now = Date.now();
+            scheduler.recordResult('topic.json', 'known', 2, now);  // box 2, due tomorrow
+            scheduler.recordResult('topic.json', 'weak', 8, now);   // box 1, due now
+
+            const ordered = scheduler.prioritize('topic.json', ['known', 'new', 'weak'], key => key, now);
+            expect(ordered).toEqual(['weak', 'new', 'known']);
+            scheduler.reset();
+        });
+
+        it('should deal new entries even when many answered ones are due', () => {
+            if (!usingRealImplementation) return;
+
+            const scheduler = createScheduler();
+            const now = Date.now();
+            const twoDaysAgo = now - 2 * 24 * 60 * 60 * 1000;
+            ['a', 'b', 'c'].forEach(key => scheduler.recordResult('topic.json', key, 3, now)); // box 1, due now
+            scheduler.recordResult('topic.json', 'd', 2, twoDaysAgo);                          // box 2, due again
+
+            const ordered = scheduler.prioritize('topic.json', ['a', 'b', 'c', 'd', 'new'], key => key, now);
+            expect(ordered.slice(0, 3)).toContain('new');
+            expect(ordered[0]).toBe('a');
+            scheduler.reset();
+        });
+
+        it('should count the entries last matched on the first try', () => {
+            if (!usingRealImplementation) return;
+
+            const scheduler = createScheduler();
+            expect(scheduler.getTopicSummary('topic.json')).toEqual({ itemsPlayed: 0, firstTryItems: 0, lastPlayed: null });
+
+            scheduler.recordResult('topic.json', '1', 2, 1000);
+            scheduler.recordResult('topic.json', '2', 2, 3000);
+            scheduler.recordResult('topic.json', '2', 6, 2000);
+
+            expect(scheduler.getTopicSummary('topic.json')).toEqual({ itemsPlayed: 2, firstTryItems: 1, lastPlayed: 2000 });
+            scheduler.reset();
+        });
+
+        it('should keep history separate per topic', () => {
+            if (!usingRealImplementation) return;
+
+            const scheduler = createScheduler();
+            scheduler.recordResult('a.json', '1', 2);
+
+            expect(scheduler.getItem('a.json', '1')).toBeTruthy();
+            expect(scheduler.getItem('b.json', '1')).toBe(null);
+            scheduler.reset();
+        });
+    });
+
+    describe('Memory Game - Hot-Seat Players', () => {
+        it('should treat fewer than two names as a single player', () => {
+            if (!usingRealImplementation) return;
+
+            expect(MemoryGame.setPlayers(['דנה']).length).toBe(0);
+            expect(MemoryGame.isMultiplayer()).toBeFalsy();
+        });
+
+        it('should limit the game to four players and name blank players', () => {
+            if (!usingRealImplementation) return;
+
+            const players = MemoryGame.setPlayers(['א', '', 'ג', 'ד', 'ה']);
+            expect(players.length).toBe(4);
+            expect(players[1].name).toBe('שחקן 2');
+            MemoryGame.setPlayers([]);
+        });
+
+        it('should pass the turn around in order', () => {
+            if (!usingRealImplementation) return;
+
+            MemoryGame.setPlayers(['דנה', 'יוסי', 'נועה']);
+            MemoryGame.core.nextPlayer();
+            expect(MemoryGame.core.currentPlayerIndex).toBe(1);
+            MemoryGame.core.nextPlayer();
+            MemoryGame.core.nextPlayer();
+            expect(MemoryGame.core.currentPlayerIndex).toBe(0);
+            MemoryGame.setPlayers([]);
+        });
+
+        it('should announce the winner or a tie', () => {
+            if (!usingRealImplementation) return;
+
+            MemoryGame.setPlayers(['דנה', 'יוסי']);
+            MemoryGame.core.players[0].score = 4;
+            MemoryGame.core.players[1].score = 2;
+            expect(MemoryGame.getWinText()).toContain('דנה');
+
+            MemoryGame.core.players[1].score = 4;
+            expect(MemoryGame.core.getLeaders().length).toBe(2);
+            expect(MemoryGame.getWinText()).toContain('תיקו');
+            MemoryGame.setPlayers([]);
+        });
+    });
+
+    describe('Memory Game - Timed and Moves Modes', () => {
+        it('should fall back to classic mode for unknown modes', () => {
+            if (!usingRealImplementation) return;
+
+            expect(MemoryGame.setMode('timed')).toBe('timed');
+            expect(MemoryGame.setMode('race')).toBe('classic');
+        });
+
+        it('should scale the countdown with the number of pairs', () => {
+            if (!usingRealImplementation) return;
+
+            const { secondsPerPair, minSeconds } = MemoryGame.gameModes.timed;
+            expect(MemoryGame.getTimedDuration(20)).toBe(20 * secondsPerPair);
+            expect(MemoryGame.getTimedDuration(1)).toBe(minSeconds);
+        });
+
+        it('should rate fewer flips with more stars', () => {
+            if (!usingRealImplementation) return;
+
+            expect(MemoryGame.getStarRating(20, 10)).toBe(3);  // every pair on the first try
+            expect(MemoryGame.getStarRating(45, 10)).toBe(2);
+            expect(MemoryGame.getStarRating(80, 10)).toBe(1);
+        });
+
+        it('should keep the lowest result as best when lower is better', () => {
+            if (!usingRealImplementation) return;
+
+            MemoryGame.setMode('moves');
+            MemoryGame.currentFilePath = './data/best_result_test.json';
+            localStorage.removeItem(MemoryGame.getBestResultManager().storageKey);
+
+            expect(MemoryGame.getBestResultManager(30).updateHighScore()).toBeTruthy();
+            expect(MemoryGame.getBestResultManager(40).updateHighScore()).toBeFalsy();
+            expect(MemoryGame.getBestResultManager(24).updateHighScore()).toBeTruthy();
+            expect(MemoryGame.getBestResultManager().getHighScore()).toBe(24);
+
+            localStorage.removeItem(MemoryGame.getBestResultManager().storageKey);
+            MemoryGame.currentFilePath = null;
+            MemoryGame.setMode('classic');
+        });
+    });
+
+    describe('Memory Game - Topic Progress', () => {
+        it('should report the best result of the largest board played in each mode', () => {
+            if (!usingRealImplementation) return;
+
+            const topic = './data/progress_test.json';
+            const keys = [
+                'memoryGameBest:moves:6:progress_test.json',
+                'memoryGameBest:moves:10:progress_test.json',
+                'memoryGameBest:timed:5x3:progress_test.json',
+                'memoryGameBest:moves:10:other_progress_test.json'
+            ];
+            ['14', '26', '40', '20'].forEach((result, i) => localStorage.setItem(keys[i], result));
+
+            const progress = MemoryGame.getTopicProgress(topic);
+            const byMode = {};
+            progress.bestResults.forEach(best => { byMode[best.mode] = best; });
+
+            expect(progress.bestResults.length).toBe(2);
+            expect(byMode.moves).toEqual({ mode: 'moves', groups: 10, groupSize: 2, result: 26 });
+            expect(byMode.timed).toEqual({ mode: 'timed', groups: 5, groupSize: 3, result: 40 });
+
+            keys.forEach(key => localStorage.removeItem(key));
+        });
+    });
+
+    describe('Memory Game - Multiple Boards', () => {
+        const PAIRS = [['גדול', 'ענק'], ['שמח', 'עליז']];
+
+        // Create a board in its own root element
+        const createBoard = () => {
+            const root = document.createElement('div');
+            document.body.appendChild(root);
+            const game = new window.MemoryGameEngine(root);
+            game.setDifficulty('easy');
+            game.setupGameBoard(PAIRS, 'בדיקה');
+            return { root, game };
+        };
+
+        it('should render each board inside its own root', () => {
+            if (!usingRealImplementation) return;
+
+            const first = createBoard();
+            const second = createBoard();
+
+            expect(first.root.querySelectorAll('.memory-card').length).toBe(4);
+            expect(second.root.querySelectorAll('.memory-card').length).toBe(4);
+
+            first.game.destroy();
+            second.game.destroy();
+            first.root.remove();
+            second.root.remove();
+        });
+
+        it('should keep the state of each board separate', () => {
+            if (!usingRealImplementation) return;
+
+            const first = createBoard();
+            const second = createBoard();
+
+            first.root.querySelector('.memory-card').click();
+            expect(first.game.core.flips).toBe(1);
+            expect(second.game.core.flips).toBe(0);
+            expect(second.root.querySelectorAll('.memory-card.flipped').length).toBe(0);
+
+            first.game.destroy();
+            expect(first.root.querySelector('.game-board')).toBe(null);
+            expect(second.root.querySelector('.game-board')).not.toBe(null);
+
+            second.game.destroy();
+            first.root.remove();
+            second.root.remove();
+        });
+
+        it('should hide the change topic button without a topic selection', () => {
+            if (!usingRealImplementation) return;
+
+            const { root, game } = createBoard();
+            expect(root.querySelector('.change-topic-btn').style.display).toBe('none');
+
+            game.destroy();
+            root.remove();
+        });
+
+        it('should tell the page when the player changes topic', () => {
+            if (!usingRealImplementation) return;
+
+            // The page updates its address on this event (see topic_list.js)
+            const { root, game } = createBoard();
+            let changed = 0;
+            root.addEventListener('memorygame:changetopic', () => { changed++; });
+
+            game.changeTopic();
+            expect(changed).toBe(1);
+
+            game.destroy();
+            root.remove();
+        });
+    });
+
+    describe('Memory Game - Ambiguous Words', () => {
+        const data = {
+            pairs: [
+                { id: 1, term1: 'אוהב', term2: 'שונא' },
+                { id: 2, term1: 'אויב', term2: 'שונא' },
+                { id: 3, term1: 'גדול', term2: 'קטן' }
+            ]
+        };
+
+        it('should find words shared by several entries', () => {
+            if (!usingRealImplementation) return;
+
+            const collisions = MemoryGame.findWordCollisions([
+                { key: '1', words: ['אוהב', 'שונא'] },
+                { key: '2', words: ['אויב', 'שונא'] },
+                { key: '3', words: ['גדול', 'קטן'] }
+            ]);
+            expect(collisions).toEqual({ 'שונא': ['1', '2'] });
+        });
+
+        it('should never deal the same word twice', () => {
+            if (!usingRealImplementation) return;
+
+            const gamePairs = MemoryGame.prepareGameData(data);
+            const words = gamePairs.flat();
+
+            expect(gamePairs.length).toBe(2);
+            expect(new Set(words).size).toBe(words.length);
+            expect(MemoryGame.groupKeys.length).toBe(gamePairs.length);
+        });
+
+        it('should pick alternatives that are not on the board yet', () => {
+            if (!usingRealImplementation) return;
+
+            // Keep the entry order so the two-word entry is dealt first
+            const originalShuffle = MemoryGame.shuffleArray;
+            MemoryGame.shuffleArray = (array) => array;
+
+            const gamePairs = MemoryGame.prepareGameData({
+                entries: [
+                    { id: 1, alternatives: ['שמח', 'עליז'] },
+                    { id: 2, alternatives: ['שמח', 'עליז', 'מאושר', 'צוהל'] }
+                ]
+            });
+            MemoryGame.shuffleArray = originalShuffle;
+
+            expect(gamePairs).toEqual([['שמח', 'עליז'], ['מאושר', 'צוהל']]);
+        });
+    });
+
+    describe('Memory Game - Synonym Groups', () => {
+        const data = {
+            entries: Array.from({ length: 12 }, (_, i) => ({
+                id: i,
+                alternatives: i % 2 === 0 ? [`a${i}`, `b${i}`, `c${i}`, `d${i}`] : [`a${i}`, `b${i}`]
+            }))
+        };
+
+        it('should deal groups from entries with enough alternatives', () => {
+            if (!usingRealImplementation) return;
+
+            MemoryGame.setDifficulty('easy');
+            MemoryGame.setGroupSize(3);
+            const groups = MemoryGame.prepareGameData(data);
+
+            // Same number of cards as the pairs board of this difficulty
+            expect(groups.length).toBe(MemoryGame.getGroupCount());
+            expect(groups.length).toBe(4);
+            expect(groups.every(group => group.length === 3)).toBeTruthy();
+
+            MemoryGame.setGroupSize(2);
+            MemoryGame.setDifficulty('medium');
+        });
+
+        it('should fall back to pairs when the topic has no large entries', () => {
+            if (!usingRealImplementation) return;
+
+            MemoryGame.setGroupSize(4);
+            const groups = MemoryGame.prepareGameData({
+                pairs: [{ id: 1, term1: 'גדול', term2: 'קטן' }, { id: 2, term1: 'חם', term2: 'קר' }]
+            });
+            expect(groups.length).toBe(2);
+            expect(groups[0].length).toBe(2);
+
+            MemoryGame.setGroupSize(2);
+        });
+
+        it('should reject unsupported group sizes', () => {
+            if (!usingRealImplementation) return;
+
+            expect(MemoryGame.setGroupSize(9)).toBe(2);
+            expect(MemoryGame.getGroupLabel(3)).toBe('שלישיות');
+        });
+
+        it('should rate groups by flips per card', () => {
+            if (!usingRealImplementation) return;
+
+            // Every triple found on its first try
+            expect(MemoryGame.getStarRating(12, 4, 3)).toBe(3);
+            expect(MemoryGame.getStarRating(40, 4, 3)).toBe(1);
+        });
+    });
+
+    describe('Memory Game - Resume After Reload', () => {
+        const PAIRS = [['גדול', 'ענק'], ['שמח', 'עליז'], ['מהיר', 'זריז']];
+
+        // Create a board in its own root element, playing a test topic
+        const createBoard = () => {
+            const root = document.createElement('div');
+            document.body.appendChild(root);
+            const game = new window.MemoryGameEngine(root, { saveStorageKey: 'memoryGameSaveTest' });
+            game.currentFilePath = './data/resume_test.json';
+            return { root, game };
+        };
+
+        const removeBoard = ({ root, game }) => {
+            game.clearSavedGame();
+            game.destroy();
+            root.remove();
+        };
+
+        it('should save the board after every move', () => {
+            if (!usingRealImplementation) return;
+
+            const board = createBoard();
+            board.game.setupGameBoard(PAIRS, 'בדיקה');
+            board.root.querySelector('.memory-card').click();
+
+            const saved = board.game.loadSavedGame();
+            expect(saved.snapshot.cards.length).toBe(6);
+            expect(saved.snapshot.flips).toBe(1);
+            expect(saved.topicName).toBe('בדיקה');
+
+            removeBoard(board);
+        });
+
+        it('should continue a saved game with its matched cards', () => {
+            if (!usingRealImplementation) return;
+
+            const first = createBoard();
+            first.game.setupGameBoard(PAIRS, 'בדיקה');
+            const [a, b] = first.game.core.cards.filter(card => card.groupIndex === 0);
+            first.game.core.flip(a.id);
+            first.game.core.flip(b.id);
+
+            // A new board on the same topic, as after a page reload
+            const second = createBoard();
+            second.game.resumeGame(second.game.loadSavedGame());
+
+            expect(second.game.core.groupsFound).toBe(1);
+            expect(second.root.querySelectorAll('.memory-card.matched').length).toBe(2);
+
+            first.game.destroy();
+            first.root.remove();
+            removeBoard(second);
+        });
+
+        it('should forget the saved game when a new game is started', () => {
+            if (!usingRealImplementation) return;
+
+            const board = createBoard();
+            board.game.setupGameBoard(PAIRS, 'בדיקה');
+            board.game.clearSavedGame();
+
+            expect(board.game.loadSavedGame()).toBe(null);
+            removeBoard(board);
+        });
+
+        it('should drop a save written in an older format', () => {
+            if (!usingRealImplementation) return;
+
+            const board = createBoard();
+            localStorage.setItem(board.game.getSaveKey(), JSON.stringify({
+                topicName: 'בדיקה',
+                snapshot: { cards: [{ id: 0, word: 'גדול', state: 'hidden' }] }
+            }));
+
+            expect(board.game.loadSavedGame()).toBe(null);
+            expect(localStorage.getItem(board.game.getSaveKey())).toBe(null);
+            removeBoard(board);
+        });
+
+        it('should save the time left when the page is hidden and continue from it', () => {
+            if (!usingRealImplementation) return;
+
+            const first = createBoard();
+            first.game.setMode('timed');
+            first.game.setupGameBoard(PAIRS, 'בדיקה');
+            const duration = first.game.getTimedDuration(first.game.core.totalGroups);
+            first.game.gameTimer.addTime(-20);
+            document.dispatchEvent(new Event('visibilitychange'));
+            expect(first.game.loadSavedGame().timeLeft).toBe(duration - 20);
+            first.game.destroy();
+            first.root.remove();
+
+            const second = createBoard();
+            second.game.resumeGame(second.game.loadSavedGame());
+            expect(second.game.gameTimer.getTimeLeft()).toBe(duration - 20);
+            // The ring starts at the part of the time that was left, not full
+            const ring = second.root.querySelectorAll('.game-timer circle')[1];
+            expect(parseFloat(ring.style.strokeDashoffset)).toBeGreaterThan(0);
+
+            removeBoard(second);
+        });
+    });
+
+    describe('Memory Game - Post-Game Review', () => {
+        const PAIRS = [['גדול', 'ענק'], ['שמח', 'עליז'], ['מהיר', 'זריז']];
+
+        // Play a board where the first group needs a second try
+        const playBoard = () => {
+            const root = document.createElement('div');
+            document.body.appendChild(root);
+            const game = new window.MemoryGameEngine(root);
+            game.setupGameBoard(PAIRS, 'בדיקה');
+            game.groupAlternatives = [['גדול', 'ענק', 'עצום'], ['שמח', 'עליז'], ['מהיר', 'זריז']];
+
+            const byGroup = (groupIndex) => game.core.cards.filter(card => card.groupIndex === groupIndex);
+            game.core.flip(byGroup(0)[0].id);
+            game.core.flip(byGroup(1)[0].id);
+            game.core.resolveMismatch();
+            [0, 1, 2].forEach(groupIndex => {
+                byGroup(groupIndex).forEach(card => game.core.flip(card.id));
+            });
+            return { root, game };
+        };
+
+        it('should mark groups that took several attempts', () => {
+            if (!usingRealImplementation) return;
+
+            const { root, game } = playBoard();
+            const items = game.getReviewItems();
+
+            expect(items.length).toBe(3);
+            expect(items[0].needsPractice).toBeTruthy();
+            expect(items[0].alternatives).toEqual(['עצום']);
+            expect(items[2].needsPractice).toBeFalsy();
+
+            game.destroy();
+            root.remove();
+        });
+
+        it('should list every group on the review screen', () => {
+            if (!usingRealImplementation) return;
+
+            const { root, game } = playBoard();
+            game.showReview();
+
+            expect(root.querySelectorAll('.review-item').length).toBe(3);
+            expect(root.querySelectorAll('.review-item.needs-practice').length).toBe(2);
+            expect(root.querySelector('.practice-again-btn')).not.toBe(null);
+
+            game.destroy();
+            root.remove();
+        });
+
+        it('should deal only the groups that need practice', () => {
+            if (!usingRealImplementation) return;
+
+            const { root, game } = playBoard();
+            game.showReview();
+            root.querySelector('.practice-again-btn').click();
+
+            expect(game.core.totalGroups).toBe(2);
+            expect(root.querySelector('.game-review').style.display).toBe('none');
+
+            game.destroy();
+            root.remove();
+        });
+    });
+
+    describe('Memory Game - Keyboard and Screen Readers', () => {
+        const PAIRS = [['גדול', 'ענק'], ['שמח', 'עליז'], ['מהיר', 'זריז']];
+
+        const createBoard = () => {
+            const root = document.createElement('div');
+            document.body.appendChild(root);
+            const game = new window.MemoryGameEngine(root);
+            game.setupGameBoard(PAIRS, 'בדיקה');
+            return { root, game };
+        };
+
+        const pressKey = (element, key) => {
+            element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+        };
+
+        it('should give cards a role, a label and a single tab stop', () => {
+            if (!usingRealImplementation) return;
+
+            const { root, game } = createBoard();
+            const cards = root.querySelectorAll('.memory-card');
+
+            expect(cards[0].getAttribute('role')).toBe('button');
+            expect(cards[0].getAttribute('aria-label')).toContain('מוסתר');
+            expect(Array.from(cards).filter(card => card.tabIndex === 0).length).toBe(1);
+
+            game.destroy();
+            root.remove();
+        });
+
+        it('should move between cards with the arrow, Home and End keys', () => {
+            if (!usingRealImplementation) return;
+
+            const { root, game } = createBoard();
+            const cards = root.querySelectorAll('.memory-card');
+
+            cards[0].focus();
+            pressKey(cards[0], 'ArrowDown');
+            expect(document.activeElement).toBe(cards[game.gridColumns]);
+            pressKey(document.activeElement, 'End');
+            expect(document.activeElement).toBe(cards[cards.length - 1]);
+            pressKey(document.activeElement, 'Home');
+            expect(document.activeElement).toBe(cards[0]);
+            expect(cards[0].tabIndex).toBe(0);
+
+            game.destroy();
+            root.remove();
+        });
+
+        it('should flip the focused card with Enter and announce it', () => {
+            if (!usingRealImplementation) return;
+
+            const { root, game } = createBoard();
+            const card = root.querySelector('.memory-card');
+
+            pressKey(card, 'Enter');
+            expect(card.classList.contains('flipped')).toBeTruthy();
+            expect(card.getAttribute('aria-label')).toContain(card.dataset.word);
+            expect(root.querySelector('.game-announcer').textContent).toContain(card.dataset.word);
+
+            game.destroy();
+            root.remove();
+        });
+
+        it('should announce matches in the live region', () => {
+            if (!usingRealImplementation) return;
+
+            const { root, game } = createBoard();
+            const [first, second] = game.core.cards.filter(card => card.groupIndex === 1);
+            game.core.flip(first.id);
+            game.core.flip(second.id);
+
+            const announcer = root.querySelector('.game-announcer');
+            expect(announcer.getAttribute('aria-live')).toBe('polite');
+            expect(announcer.textContent).toContain('התאמה');
+            expect(announcer.textContent).toContain('נמצאו 1');
+
+            game.destroy();
+            root.remove();
+        });
+    });
+
+    describe('Memory Game - Read Aloud', () => {
+        const PAIRS = [['גדול', 'ענק'], ['שמח', 'עליז']];
+
+        // Records what would have been spoken
+        const createStubSpeaker = () => ({
+            spoken: [],
+            speak(text) { this.spoken.push(text); return true; },
+            cancel() {},
+            isEnabled() { return true; },
+            toggle() { return true; },
+            getRate() { return 'normal'; },
+            setRate() {}
+        });
+
+        it('should speak a card when a click flips it', () => {
+            if (!usingRealImplementation) return;
+
+            const root = document.createElement('div');
+            document.body.appendChild(root);
+            const speaker = createStubSpeaker();
+            const game = new window.MemoryGameEngine(root, { speaker });
+            game.setupGameBoard(PAIRS, 'בדיקה');
+            const card = root.querySelector('.memory-card');
+
+            game.handleCardClick(card);
+            expect(speaker.spoken).toEqual([card.dataset.word]);
+
+            // A card that is already open isn't read again
+            game.handleCardClick(card);
+            expect(speaker.spoken.length).toBe(1);
+
+            game.destroy();
+            root.remove();
+        });
+
+        it('should stop waiting for voices when the board is destroyed', () => {
+            if (!usingRealImplementation) return;
+
+            // A browser with speech but no voice for the language
+            const listeners = [];
+            const fakeSynth = {
+                getVoices: () => [],
+                cancel() {},
+                addEventListener(type, listener) { listeners.push(listener); },
+                removeEventListener(type, listener) {
+                    const index = listeners.indexOf(listener);
+                    if (index > -1) listeners.splice(index, 1);
+                }
+            };
+            const saved = ['speechSynthesis', 'SpeechSynthesisUtterance'].map(name => [name, Object.getOwnPropertyDescriptor(window, name)]);
+            Object.defineProperty(window, 'speechSynthesis', { configurable: true, value: fakeSynth });
+            Object.defineProperty(window, 'SpeechSynthesisUtterance', { configurable: true, value: function() {} });
+
+            try {
+                const root = document.createElement('div');
+                document.body.appendChild(root);
+                const speaker = { ...createStubSpeaker(), isAvailable: () => false };
+                const game = new window.MemoryGameEngine(root, { speaker });
+                game.setupGameBoard(PAIRS, 'בדיקה');
+                expect(listeners.length).toBe(1);
+
+                game.destroy();
+                expect(listeners.length).toBe(0);
+                root.remove();
+            } finally {
+                saved.forEach(([name, descriptor]) => {
+                    if (descriptor) {
+                        Object.defineProperty(window, name, descriptor);
+                    } else {
+                        delete window[name];
+                    }
+                });
+            }
+        });
+    });
+
+    describe('Memory Game - Deck Providers', () => {
+        const decks = window.MemoryGameDecks;
+
+        it('should generate each multiplication fact once', () => {
+            if (!decks) return;
+
+            const { pairs } = decks.createMultiplicationDeck({ min: 2, max: 4 }).load();
+            expect(pairs.map(pair => pair.term1)).toEqual(['2×2', '2×3', '2×4', '3×3', '3×4', '4×4']);
+            expect(pairs.find(pair => pair.term1 === '3×4').term2).toBe('12');
+        });
+
+        it('should give every round number one number that rounds to it', () => {
+            if (!decks) return;
+
+            const { pairs } = decks.createRoundingDeck({ to: 10, min: 100, max: 199 }).load();
+            const answers = pairs.map(pair => pair.term2);
+
+            expect(new Set(answers).size).toBe(answers.length);
+            pairs.forEach(({ term1, term2 }) => {
+                expect(String(Math.round(Number(term1) / 10) * 10)).toBe(term2);
+                expect(term1).not.toBe(term2);
+            });
+        });
+
+        it('should deal a generated deck and store its history under the deck key', () => {
+            if (!decks) return;
+
+            const deck = decks.createMultiplicationDeck();
+            MemoryGame.currentDeck = deck;
+            expect(MemoryGame.getTopicKey()).toBe('multiplication:2-9');
+
+            // Facts with equal products (2×6, 3×4) are expected, not reported
+            const warnings = [];
+            const originalWarn = console.warn;
+            console.warn = message => warnings.push(message);
+            let pairs;
+            try {
+                pairs = MemoryGame.prepareGameData(deck.load());
+            } finally {
+                console.warn = originalWarn;
+            }
+            expect(warnings.filter(message => String(message).includes('more than one entry'))).toEqual([]);
+            expect(pairs.length).toBe(MemoryGame.settings.totalPairs);
+            pairs.forEach(([fact, product]) => {
+                const [a, b] = fact.split('×').map(Number);
+                expect(String(a * b)).toBe(product);
+            });
+
+            MemoryGame.currentDeck = null;
+        });
+    });
+
+    describe('Memory Game - Custom Topics', () => {
+        const csv = 'גדול, קטן\n\nלבד\n"חם, לוהט",קר,רמז=מזג אוויר\nשמח,עליז (+),תגיות=רגש|מצב';
+
+        it('should read pasted CSV with the rules of the converter scripts', () => {
+            if (!usingRealImplementation) return;
+
+            const data = window.MemoryGameCustomTopics.csvToTopicData(csv);
+
+            expect(data.metadata.total_entries).toBe(3);
+            expect(data.entries[0]).toEqual({ id: 1, alternatives_count: 2, alternatives: ['גדול', 'קטן'] });
+            expect(data.entries[1].alternatives).toEqual(['חם, לוהט', 'קר']);
+            expect(data.entries[1].hint).toBe('מזג אוויר');
+            expect(data.entries[2].tags).toEqual(['+', 'רגש', 'מצב']);
+            expect(data.invalid_rows.details).toEqual([
+                { row_number: 3, content: ['לבד'], element_count: 1, reason: 'Less than 2 alternatives' }
+            ]);
+        });
+
+        it('should save custom topics locally and play them as decks', () => {
+            if (!usingRealImplementation) return;
+
+            const topics = window.MemoryGameCustomTopics;
+            const data = topics.csvToTopicData(csv, { minAlternatives: 3 });
+            const saved = topics.saveCustomTopic({ name: ' הרשימה שלי ', data });
+
+            const deck = topics.getCustomTopicDecks().find(d => d.key === saved.key);
+            expect(deck.key).toBe('custom:הרשימה שלי');
+            expect(deck.totalEntries).toBe(0);
+            expect(deck.load()).toEqual(data);
+
+            expect(topics.deleteCustomTopic(saved.key)).toBeTruthy();
+            expect(topics.loadCustomTopics().some(topic => topic.key === saved.key)).toBeFalsy();
+        });
+    });
+
+    describe('Memory Game - Topic Packs', () => {
+        const pairsData = { pairs: [{ id: 1, term1: 'גדול', term2: 'קטן' }, { id: 2, term1: 'חם', term2: 'קר' }] };
+
+        it('should accept the data formats the engine plays and reject others', () => {
+            if (!usingRealImplementation) return;
+
+            const { validateTopicData } = window.MemoryGameCustomTopics;
+            expect(validateTopicData(pairsData)).toEqual([]);
+            expect(validateTopicData({ entries: [{ alternatives: ['א', 'ב', 'ג'] }, { alternatives: ['ד', 'ה'] }] })).toEqual([]);
+            expect(validateTopicData({ words: [] }).length).toBe(1);
+            expect(validateTopicData({ pairs: [{ term1: 'גדול' }, { term1: 'חם', term2: 'קר', tags: 'x' }] }).length).toBe(2);
+            expect(validateTopicData({ pairs: [pairsData.pairs[0]] })).toEqual(['צריך לפחות 2 ערכים כדי לשחק']);
+        });
+
+        it('should report name conflicts and invalid topics of an imported pack', () => {
+            if (!usingRealImplementation) return;
+
+            const topics = window.MemoryGameCustomTopics;
+            const pack = topics.createTopicPack([
+                { name: 'שלי', data: pairsData },
+                { name: 'הפכים', data: pairsData },
+                { name: 'חדש', data: pairsData },
+                { name: 'שבור', data: { pairs: [] } }
+            ]);
+            const { errors, topics: packTopics } = topics.readTopicPack(JSON.parse(JSON.stringify(pack)), {
+                custom: ['שלי'],
+                other: ['הפכים']
+            });
+
+            expect(errors).toEqual([]);
+            expect(packTopics.map(topic => topic.conflict)).toEqual(['custom', 'other', null, null]);
+            expect(packTopics[3].errors.length).toBe(1);
+            expect(topics.readTopicPack({ pairs: [] }).errors.length).toBe(1);
+            expect(topics.getFreeTopicName('שלי', ['שלי', 'שלי (2)'])).toBe('שלי (3)');
+        });
+
+        it('should show topic names with markup as plain text', () => {
+            if (!usingRealImplementation) return;
+
+            const topics = window.MemoryGameCustomTopics;
+            const name = 'שלי<img src=x onerror="window.packXss = true">';
+            const pack = topics.createTopicPack([{ name, data: pairsData }]);
+            const [imported] = topics.readTopicPack(JSON.parse(JSON.stringify(pack))).topics;
+            expect(imported.name).toBe(name);
+
+            const root = document.createElement('div');
+            document.body.appendChild(root);
+            const game = new window.MemoryGameEngine(root);
+            game.setupGameBoard([['גדול', 'קטן'], ['חם', 'קר']], name);
+
+            expect(root.querySelector('.game-title').textContent).toBe(`משחק זיכרון - ${name}`);
+            expect(root.querySelector('.game-title img')).toBe(null);
+
+            game.destroy();
+            root.remove();
+        });
+    });
+
+    describe('Memory Game - Entry Annotations', () => {
+        const data = {
+            pairs: [
+                { id: 1, term1: 'לנעול', term2: 'נעליים (+)' },
+                { id: 2, term1: 'לחבוש', term2: 'כובע', hint: 'שמים על הראש', example: 'חבשתי כובע' }
+            ]
+        };
+
+        it('should take legacy markers off the card face and keep them as tags', () => {
+            if (!usingRealImplementation) return;
+
+            const originalShuffle = MemoryGame.shuffleArray;
+            MemoryGame.shuffleArray = (array) => array;
+            const gamePairs = MemoryGame.prepareGameData(data);
+            MemoryGame.shuffleArray = originalShuffle;
+
+            expect(gamePairs[0]).toEqual(['לנעול', 'נעליים']);
+            expect(MemoryGame.groupNotes[0]).toEqual({ tags: ['+'] });
+            expect(MemoryGame.groupNotes[1]).toEqual({ hint: 'שמים על הראש', example: 'חבשתי כובע' });
+        });
+
+        it('should keep other parentheses and the markers that tell words apart', () => {
+            if (!usingRealImplementation) return;
+
+            const entries = MemoryGame.parseEntries({
+                pairs: [
+                    { id: 1, term1: 'ללבוש', term2: 'חולצה (+)' },
+                    { id: 2, term1: 'לפשוט', term2: 'חולצה (-)' },
+                    { id: 3, term1: 'אב (אבא)', term2: 'אם' }
+                ]
+            });
+
+            expect(entries.map(entry => entry.words)).toEqual([['ללבוש', 'חולצה (+)'], ['לפשוט', 'חולצה (-)'], ['אב (אבא)', 'אם']]);
+            expect(entries[0].notes).toEqual({ tags: ['+'] });
+            expect(entries[2].notes).toEqual({});
+            expect(MemoryGame.findWordCollisions(entries)).toEqual({});
+        });
+
+        it('should show a hint on demand for the open card and in the review', () => {
+            if (!usingRealImplementation) return;
+
+            const root = document.createElement('div');
+            document.body.appendChild(root);
+            const game = new window.MemoryGameEngine(root);
+            game.setupGameBoard(game.prepareGameData(data), 'בדיקה');
+
+            const hintButton = root.querySelector('.hint-btn');
+            expect(hintButton.style.display).toBe('');
+            expect(root.querySelector('.card-back').textContent).not.toContain('(+)');
+
+            const groupIndex = game.groupNotes.findIndex(notes => notes.hint);
+            const card = game.core.cards.find(c => c.groupIndex === groupIndex);
+            game.core.flip(card.id);
+            hintButton.click();
+            expect(root.querySelector('.game-hint').textContent).toContain('שמים על הראש');
+
+            const item = game.getReviewItems()[groupIndex];
+            expect(item.notes.example).toBe('חבשתי כובע');
+
+            game.destroy();
+            root.remove();
+        });
+    });
+
+    describe('Memory Game - Picture Cards', () => {
+        const CIRCLE = "<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 10 10'><title>עיגול</title><circle cx='5' cy='5' r='4'/></svg>";
+        const PAIRS = [[CIRCLE, 'עיגול'], ['images/כלב.png', 'כלב']];
+
+        it('should show picture terms as images named after their title or file', () => {
+            if (!usingRealImplementation) return;
+
+            const root = document.createElement('div');
+            document.body.appendChild(root);
+            const game = new window.MemoryGameEngine(root);
+            game.setupGameBoard(PAIRS, 'בדיקה');
+
+            const images = root.querySelectorAll('.card-back .card-image');
+            expect(images.length).toBe(2);
+            const alts = Array.from(images).map(image => image.alt).sort();
+            expect(alts).toEqual(['כלב', 'עיגול']);
+            // Inline SVG is shown through <img>, never inserted as markup
+            expect(root.querySelector('.card-back svg')).toBe(null);
+
+            const circleCard = game.core.cards.find(card => card.word === CIRCLE);
+            game.core.flip(circleCard.id);
+            expect(game.cardElements[circleCard.id].getAttribute('aria-label')).toContain('עיגול');
+            expect(game.cardElements[circleCard.id].getAttribute('aria-label')).not.toContain('<svg');
+
+            game.destroy();
+            root.remove();
+        });
+
+        it('should deal pictures whose file name has a stray %', () => {
+            if (!usingRealImplementation) return;
+
+            const root = document.createElement('div');
+            document.body.appendChild(root);
+            const game = new window.MemoryGameEngine(root);
+            game.setupGameBoard([['images/100%_מיץ.png', 'מיץ'], ['images/כלב.png', 'כלב']], 'בדיקה');
+
+            const alts = Array.from(root.querySelectorAll('.card-back .card-image')).map(image => image.alt).sort();
+            expect(alts).toEqual(['100% מיץ', 'כלב']);
+
+            game.destroy();
+            root.remove();
+        });
+    });
+
+    describe('Memory Game - Topic Browser', () => {
+        it('should read the entries of both formats for the topic preview', () => {
+            if (!usingRealImplementation) return;
+
+            const pairs = MemoryGame.parseEntries({ pairs: [{ id: 7, term1: 'גדול', term2: 'קטן' }] });
+            const entries = MemoryGame.parseEntries({ entries: [{ id: 3, alternatives: ['שמח', 'עליז', 'מאושר'] }] });
+
+            expect(pairs).toEqual([{ key: '7', words: ['גדול', 'קטן'], notes: {} }]);
+            expect(entries[0].words.length).toBe(3);
+            expect(MemoryGame.parseEntries({ unknown: [] })).toEqual([]);
+        });
+    });
+
     describe('Memory Game - Card State After Match', () => {
         it('should keep matched cards visible', () => {
             // Test that matched cards maintain their flipped state
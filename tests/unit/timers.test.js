@@ -0,0 +1,195 @@
+/**
+ * Unit Tests for the Common Library Timers
+ * Tests the timer exports of common/index.js; timers are advanced by hand
+ *
+ * To run: Include this file in test-runner.html
+ */
+
+// Make function available globally for the test runner
+window.runTimerTests = function() {
+    if (typeof CommonLibrary === 'undefined') {
+        console.log('Common library not loaded, skipping timer tests');
+        return;
+    }
+
+    const { formatTime, formatTimeHebrew, GameTimer, createCountdownTimer, createStopwatch } = CommonLibrary;
+
+    describe('Timers - Exports', () => {
+        it('should export every timer from the common index', () => {
+            [createCountdownTimer, createStopwatch, formatTime, formatTimeHebrew, GameTimer,
+                CommonLibrary.createCircularTimer, CommonLibrary.createTimerSVG].forEach(exported => {
+                expect(typeof exported).toBe('function');
+            });
+        });
+    });
+
+    describe('Timers - Formatting', () => {
+        it('should format seconds as a clock', () => {
+            expect(formatTime(0)).toBe('0:00');
+            expect(formatTime(65)).toBe('1:05');
+            expect(formatTime(3727)).toBe('1:02:07');
+            expect(formatTime(-5)).toBe('0:00');
+        });
+
+        it('should format seconds as Hebrew words', () => {
+            expect(formatTimeHebrew(0)).toBe('0 שניות');
+            expect(formatTimeHebrew(1)).toBe('שנייה');
+            expect(formatTimeHebrew(45)).toBe('45 שניות');
+            expect(formatTimeHebrew(61)).toBe('דקה ושנייה');
+            expect(formatTimeHebrew(90)).toBe('דקה ו-30 שניות');
+            expect(formatTimeHebrew(120)).toBe('שתי דקות');
+            expect(formatTimeHebrew(3725)).toBe('שעה, שתי דקות ו-5 שניות');
+        });
+    });
+
+    describe('Timers - GameTimer', () => {
+        it('should count down with tick, warning and complete events', () => {
+            const timer = new GameTimer({ duration: 3, warningTime: 2 });
+            const events = [];
+            ['tick', 'warning', 'complete'].forEach(event => {
+                timer.on(event, ({ time }) => events.push(time === undefined ? event : `${event}:${time}`));
+            });
+
+            timer.start();
+            timer.tick();
+            timer.tick();
+            timer.tick();
+
+            expect(events).toEqual(['tick:2', 'warning:2', 'tick:1', 'tick:0', 'complete']);
+            expect(timer.isRunning()).toBeFalsy();
+        });
+
+        it('should pause, resume and count up without a duration', () => {
+            const timer = new GameTimer({ duration: null });
+            const events = [];
+            ['start', 'pause', 'resume'].forEach(event => timer.on(event, () => events.push(event)));
+
+            timer.start();
+            timer.tick();
+            timer.pause();
+            timer.resume();
+            timer.tick();
+            timer.stop();
+
+            expect(events).toEqual(['start', 'pause', 'resume']);
+            expect(timer.getTime()).toBe(2);
+        });
+
+        it('should stop notifying after unsubscribing', () => {
+            const timer = new GameTimer({ duration: 10 });
+            let ticks = 0;
+            const unsubscribe = timer.on('tick', () => ticks++);
+
+            timer.tick();
+            unsubscribe();
+            timer.tick();
+
+            expect(ticks).toBe(1);
+        });
+
+        it('should complete right away when added time uses up the countdown', () => {
+            const timer = new GameTimer({ duration: 10 });
+            const events = [];
+            ['tick', 'complete'].forEach(event => {
+                timer.on(event, ({ time }) => events.push(time === undefined ? event : `${event}:${time}`));
+            });
+
+            timer.start();
+            timer.addTime(-15);
+            timer.addTime(-1);
+
+            expect(events).toEqual(['tick:0', 'complete']);
+            expect(timer.getTime()).toBe(0);
+            expect(timer.isRunning()).toBeFalsy();
+        });
+    });
+
+    describe('Timers - Circular Timer', () => {
+        it('should keep the time left while paused', () => {
+            const text = document.createElement('span');
+            const timer = CommonLibrary.createCircularTimer({ duration: 30, textElement: text, pauseWhenHidden: false });
+
+            timer.start();
+            timer.pause();
+            expect(timer.isPaused()).toBeTruthy();
+            expect(timer.isRunning()).toBeFalsy();
+
+            timer.addTime(-10);
+            expect(timer.getTimeLeft()).toBe(20);
+            expect(text.textContent).toBe('0:20');
+
+            timer.resume();
+            expect(timer.isRunning()).toBeTruthy();
+            timer.stop();
+            expect(timer.isPaused()).toBeFalsy();
+            timer.resume();
+            expect(timer.isRunning()).toBeFalsy();
+        });
+
+        it('should stay paused when the page is shown again after pause()', () => {
+            let hidden = false;
+            Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+            const setHidden = (value) => {
+                hidden = value;
+                document.dispatchEvent(new Event('visibilitychange'));
+            };
+            const timer = CommonLibrary.createCircularTimer({ duration: 30, textElement: document.createElement('span') });
+
+            timer.start();
+            setHidden(true);
+            expect(timer.isPaused()).toBeTruthy();
+            setHidden(false);
+            expect(timer.isRunning()).toBeTruthy();
+
+            setHidden(true);
+            timer.pause();
+            setHidden(false);
+            expect(timer.isPaused()).toBeTruthy();
+
+            timer.stop();
+            delete document.hidden;
+        });
+    });
+
+    describe('Timers - Countdown and Stopwatch', () => {
+        it('should add time to a countdown and warn again when it runs low', () => {
+            const warnings = [];
+            const timer = createCountdownTimer({ duration: 20, warningTime: 10, onWarning: time => warnings.push(time) });
+
+            timer.addTime(-12);
+            timer.addTime(5);
+            timer.addTime(-4);
+
+            expect(timer.getTimeLeft()).toBe(9);
+            expect(warnings).toEqual([8, 9]);
+        });
+
+        it('should complete right away when added time uses up the countdown', () => {
+            const ticks = [];
+            let completed = 0;
+            const timer = createCountdownTimer({ duration: 10, onTick: time => ticks.push(time), onComplete: () => completed++ });
+
+            timer.start();
+            timer.addTime(-10);
+            timer.addTime(-1);
+
+            expect(ticks).toEqual([0]);
+            expect(completed).toBe(1);
+            expect(timer.getTimeLeft()).toBe(0);
+            expect(timer.isRunning()).toBeFalsy();
+        });
+
+        it('should start a stopwatch from zero after a reset', () => {
+            const ticks = [];
+            const stopwatch = createStopwatch({ onTick: seconds => ticks.push(seconds) });
+
+            stopwatch.start();
+            expect(stopwatch.isRunning()).toBeTruthy();
+            stopwatch.reset();
+
+            expect(stopwatch.isRunning()).toBeFalsy();
+            expect(stopwatch.getElapsed()).toBe(0);
+            expect(ticks).toEqual([0]);
+        });
+    });
+};